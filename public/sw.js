@@ -0,0 +1,15 @@
+// Minimal service worker: only exists so notifications can carry action
+// buttons. Clicks are forwarded to every open page as
+// { type: "notification-action", tag, action, data } ("" action = body click).
+self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (e) => e.waitUntil(self.clients.claim()));
+
+self.addEventListener("notificationclick", (e) => {
+  e.notification.close();
+  e.waitUntil((async () => {
+    const pages = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const { tag, data } = e.notification;
+    pages.forEach(p => p.postMessage({ type: "notification-action", tag, data, action: e.action || "" }));
+    if (!e.action && pages[0]) await pages[0].focus();
+  })());
+});
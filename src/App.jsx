@@ -1,27 +1,37 @@
+import { useState } from "react";
 import Navbar from "./Navbar";
 import CategoryBar from "./CategoryBar";
 import DailyPlannerExpanded from "./DailyPlannerExpanded";
 import MusicPlayer from "./MusicPlayer";
 import TimerCard from "./TimerCard";
+import ShortcutsOverlay from "./ShortcutsOverlay";
 
 export default function App() {
+  // lifted so TimerCard's focus mode can show them as overlays
+  const [plannerBlock, setPlannerBlock] = useState(null);
+  const [nowPlaying, setNowPlaying] = useState(null);
+  // keyboard shortcuts overlay: null | "sheet" ("?") | "edit" (navbar button)
+  const [shortcutsView, setShortcutsView] = useState(null);
+
   return (
     <div className="min-h-screen flex flex-col bg-gray-50">
-      <Navbar />
+      <Navbar onShortcuts={() => setShortcutsView("edit")} />
       <CategoryBar />
 
       <div className="flex flex-1 p-6 gap-6">
         {/* Left: full main screen with animated gradient + timer */}
         <div className="flex-1 rounded-lg overflow-hidden">
-          <TimerCard />
+          <TimerCard plannerBlock={plannerBlock} nowPlaying={nowPlaying} />
         </div>
 
         {/* Right: planner + music (scrolls internally so it doesn't push layout) */}
         <div className="w-full max-w-md space-y-4 max-h-[calc(100vh-120px)] overflow-y-auto">
-          <DailyPlannerExpanded />
-          <MusicPlayer />
+          <DailyPlannerExpanded onCurrentBlock={setPlannerBlock} />
+          <MusicPlayer onNowPlaying={setNowPlaying} />
         </div>
       </div>
+
+      <ShortcutsOverlay view={shortcutsView} onView={setShortcutsView} />
     </div>
   );
 }
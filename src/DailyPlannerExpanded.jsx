@@ -1,5 +1,8 @@
 import { useEffect, useState, useRef } from "react";
 import { AnimatePresence, motion } from "framer-motion";
+import { showNotification } from "./notify";
+import { matchShortcut } from "./shortcuts";
+import { parseTimeToMinutes } from "./timeParse";
 
 /* ---------- time helpers (minute-precision) ---------- */
 const MINS_IN_DAY = 1440;
@@ -14,35 +17,6 @@ const minsToLabel = (m) => {
   return `${h12}:${minStr} ${ampm}`;
 };
 
-// flexible parser: "9:30", "09:30", "9 30", "9", "21:15", "930", supports AM/PM
-const parseTimeToMinutes = (s) => {
-  if (!s) return NaN;
-  let str = s.trim().toLowerCase();
-  let isPM = false, isAM = false;
-  if (str.endsWith("am")) { isAM = true; str = str.replace(/am$/, "").trim(); }
-  if (str.endsWith("pm")) { isPM = true; str = str.replace(/pm$/, "").trim(); }
-  str = str.replace(/[^\d:]/g, " ").replace(/\s+/g, " ").trim();
-  let h = 0, m = 0;
-  if (/^\d{1,2}:\d{1,2}$/.test(str)) {
-    const [hh, mm] = str.split(":").map((x) => parseInt(x, 10));
-    h = hh; m = mm;
-  } else if (/^\d{3,4}$/.test(str)) {
-    const n = parseInt(str, 10);
-    if (str.length <= 2) { h = n; m = 0; }
-    else { const mm = n % 100; const hh = Math.floor(n / 100); h = hh; m = mm; }
-  } else {
-    const parts = str.split(" ");
-    if (parts.length === 2) { h = parseInt(parts[0], 10); m = parseInt(parts[1], 10); }
-    else if (parts.length === 1) { h = parseInt(parts[0], 10); m = 0; }
-  }
-  if (isNaN(h) || isNaN(m)) return NaN;
-  if (isPM && h < 12) h += 12;
-  if (isAM && h === 12) h = 0;
-  h = Math.max(0, Math.min(23, h));
-  m = Math.max(0, Math.min(59, m));
-  return h * 60 + m;
-};
-
 const DAYS = ["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"];
 
 /* ---------- default day: 24 hourly blocks ---------- */
@@ -55,7 +29,7 @@ const defaultDay = () =>
 
 const uid = () => Math.random().toString(36).slice(2, 9);
 
-export default function DailyPlanner() {
+export default function DailyPlanner({ onCurrentBlock }) {
   const [selectedDay, setSelectedDay] = useState(new Date().getDay());
   const [showDayPanel, setShowDayPanel] = useState(false);
   const [isExpanded, setIsExpanded] = useState(false);
@@ -75,6 +49,41 @@ export default function DailyPlanner() {
     return () => clearInterval(t);
   }, []);
 
+  /* ---------- block-end notifications (today only, blocks with tasks) ---------- */
+  const prevMinuteRef = useRef(null);
+  useEffect(() => {
+    const day = DAYS[now.getDay()];
+    const m = now.getHours() * 60 + now.getMinutes();
+    const prev = prevMinuteRef.current;
+    prevMinuteRef.current = m;
+    if (prev === null || prev === m) return;
+    // any block whose end falls in (prev, m] — covers ticks that drift past a minute
+    const crossed = (end) => (prev < m ? end > prev && end <= m : end > prev || end <= m);
+    const slots = schedule[day] || [];
+    slots.forEach((s, i) => {
+      const end = (s.start + s.span) % MINS_IN_DAY;
+      const texts = s.tasks.map((t) => t.text.trim()).filter(Boolean);
+      if (!texts.length || !crossed(end)) return;
+      const next = slots[i + 1];
+      const nextText = next?.tasks.map((t) => t.text.trim()).filter(Boolean)[0];
+      showNotification(`${minsToLabel(s.start)} - ${minsToLabel(end)} block ended`, {
+        body: texts.join(", ") + (nextText ? `\nNext: ${nextText}` : ""),
+        tag: `agari-planner-${day}-${s.start}`,
+      });
+    });
+  }, [now, schedule]);
+
+  /* ---------- current block (shown in TimerCard's focus mode) ---------- */
+  useEffect(() => {
+    if (!onCurrentBlock) return;
+    const m = now.getHours() * 60 + now.getMinutes();
+    const s = (schedule[DAYS[now.getDay()]] || []).find((b) => m >= b.start && m < b.start + b.span);
+    onCurrentBlock(s ? {
+      range: `${minsToLabel(s.start)} - ${minsToLabel(s.start + s.span)}`,
+      tasks: s.tasks.filter((t) => !t.done).map((t) => t.text.trim()).filter(Boolean),
+    } : null);
+  }, [now, schedule, onCurrentBlock]);
+
   // autosave
   useEffect(() => {
     const id = setTimeout(() => {
@@ -288,6 +297,18 @@ export default function DailyPlanner() {
     });
   };
 
+  /* ---------- keyboard shortcuts (bindings in ./shortcuts) ---------- */
+  useEffect(() => {
+    const onKey = (e) => {
+      const el = document.activeElement;
+      if (el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.isContentEditable)) return;
+      if (matchShortcut(e, "planner.expand")) { e.preventDefault(); setIsExpanded((v) => !v); }
+      else if (matchShortcut(e, "planner.today")) { e.preventDefault(); setSelectedDay(new Date().getDay()); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
   /* ---------- Animations + outside click ---------- */
   const expandedRef = useRef(null);
   useEffect(() => {
@@ -1,32 +1,99 @@
 import { useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
 import { AnimatePresence, motion } from "framer-motion";
+import { matchShortcut } from "./shortcuts";
+import { createLocalSource, createYouTubeSource, trackKey, trackSource } from "./playbackSources";
+import { LOCAL_ACCEPT, addLocalFile, deleteLocalFile, getLocalCover, isSupportedAudio } from "./localTracks";
+import { freeName, mergeTracks } from "./playlistIO";
+import { parseYouTubeUrl, youtube } from "./youtubeApi";
+import { clearSearchCache, searchYouTube } from "./searchCache";
+import PlaylistTransfer from "./PlaylistTransfer";
 
 /**
- * MusicPlayer — JSX (no shuffle) + Framer Motion
- * - Auto-advance strictly sequential (wrap at end)
- * - Repeat button toggles Repeat One (loop AFTER finish; no restart on press)
+ * MusicPlayer — JSX + Framer Motion
+ * - Auto-advance: the Up Next queue first, then the playlist — in order, or shuffled
+ * - Up Next holds tracks from any playlist or search result without touching the playlists
+ * - Shuffle is seeded per playlist: every track once per round, same order until reshuffled
+ * - Repeat button cycles Off (stop at the end) → All (wrap) → One (loop AFTER finish; no restart on press)
  * - Click outside the music player when on Songs screen → back to Playlists (playback continues)
  * - Smooth springy transitions + lively row animations
  * - Songs list scrolls past the last row
- * - Search YouTube (VITE_YT_API_KEY required)
+ * - Search YouTube (VITE_YT_API_KEY required) or paste a link: a video needs no key,
+ *   a playlist link is imported page by page into a new playlist (./youtubeApi does the talking)
+ * - Search as you type (debounced), more results on scroll, recent pages cached (./searchCache),
+ *   and a history dropdown of past searches (clearing it drops the cached pages too)
+ * - Import / export playlists as JSON or M3U (./PlaylistTransfer)
+ * - Local files (MP3/OGG/FLAC, picked or dropped) live in IndexedDB and mix with YouTube tracks;
+ *   both play through ./playbackSources, so the transport below never asks which is which
  * - LocalStorage persistence; YT Iframe API safe guards
  */
 
 const STORAGE = {
   playlists: "ytmini.playlists",            // { [name]: Track[] }
   idxMap: "ytmini.currentIdxMap",           // { [name]: number }
-  repeat: "ytmini.repeatMode",              // { [name]: "off"|"one" }
+  repeat: "ytmini.repeat",                  // { [name]: "off"|"all"|"one" }
+  shuffle: "ytmini.shuffle",                // { [name]: { seed, lead } } — present = shuffle on (older: bare seed)
+  queue: "ytmini.queue",                    // Track[] (Up Next, across playlists)
   active: "ytmini.activePlaylist",          // string
   volume: "ytmini.volume",                  // number 0..100
   listScroll: "ytmini.playlistListScroll",  // number
+  history: "ytmini.searchHistory",          // string[], most recent first
 };
 
+const SEARCH_DEBOUNCE_MS = 500;
+const HISTORY_MAX = 10;
+
+// before repeat-all existed, "off" wrapped around at the end — which is "all" now
+const LEGACY_REPEAT = "ytmini.repeatMode";
+
 const coverUrl = (videoId, fallback) =>
   videoId ? `https://img.youtube.com/vi/${videoId}/hqdefault.jpg` : (fallback || "");
 
-export default function MusicPlayer() {
-  const API_KEY = import.meta.env.VITE_YT_API_KEY || "";
+// what a failed search tells the user, by ./youtubeApi error kind
+const searchErrorText = (e) => {
+  if (e.kind === "quota") return "YouTube's search quota for today is used up. Pasted links still work.";
+  if (e.kind === "key") return "YouTube rejected the API key. Check VITE_YT_API_KEY and that YouTube Data API v3 is enabled for it.";
+  if (e.kind === "network") {
+    return navigator.onLine === false
+      ? "You're offline. Search needs a connection; local files still play."
+      : "Couldn't reach YouTube. Try again in a moment.";
+  }
+  if (e.kind === "nokey") return e.message;
+  return `Search failed: ${e.message}`;
+};
+
+// FNV-1a, enough to scatter track keys
+const hash = (s) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return h >>> 0;
+};
+
+// playlist indices in shuffled order: each track sorts by a hash of (seed, its key), so the order
+// survives reloads and edits (an added track just slots in somewhere) until a new seed is drawn.
+// The order is rotated to start at `lead` (the track playing when it was dealt), so a round that
+// stops at the end still reaches every track.
+const shuffleOrder = (list, seed, lead) => {
+  const order = list.map((t, i) => [hash(`${seed}:${trackKey(t)}`), i]).sort((a, b) => a[0] - b[0] || a[1] - b[1]).map(([, i]) => i);
+  const at = lead ? order.findIndex((i) => trackKey(list[i]) === lead) : -1;
+  return at > 0 ? [...order.slice(at), ...order.slice(0, at)] : order;
+};
 
+const newSeed = () => Math.floor(Math.random() * 2 ** 31);
+
+// index `delta` steps from `from` in the play order; -1 past either end unless wrapping
+const stepIndex = (order, from, delta, wrap) => {
+  const n = order.length;
+  if (!n) return -1;
+  const pos = order.indexOf(from);
+  let next = pos < 0 ? (delta > 0 ? 0 : n - 1) : pos + delta;
+  if (next < 0 || next >= n) {
+    if (!wrap) return -1;
+    next = (next + n) % n;
+  }
+  return order[next];
+};
+
+export default function MusicPlayer({ onNowPlaying }) {
   /* ---------- Persistent state ---------- */
   const [playlists, setPlaylists] = useState(() => {
     try { return JSON.parse(localStorage.getItem(STORAGE.playlists)) || { Default: [] }; }
@@ -46,9 +113,23 @@ export default function MusicPlayer() {
   });
 
   const [repeatByName, setRepeatByName] = useState(() => {
-    try { return JSON.parse(localStorage.getItem(STORAGE.repeat)) || {}; }
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE.repeat));
+      if (saved) return saved;
+      const legacy = JSON.parse(localStorage.getItem(LEGACY_REPEAT)) || {};
+      return Object.fromEntries(Object.entries(legacy).map(([n, m]) => [n, m === "one" ? "one" : "all"]));
+    } catch { return {}; }
+  }); // "off" | "all" | "one"
+
+  const [shuffleByName, setShuffleByName] = useState(() => {
+    try { return JSON.parse(localStorage.getItem(STORAGE.shuffle)) || {}; }
     catch { return {}; }
-  }); // "off" | "one"
+  });
+
+  const [queue, setQueue] = useState(() => {
+    try { const q = JSON.parse(localStorage.getItem(STORAGE.queue)); return Array.isArray(q) ? q : []; }
+    catch { return []; }
+  });
 
   const [volume, setVolume] = useState(() => {
     const v = Number(localStorage.getItem(STORAGE.volume));
@@ -60,6 +141,8 @@ export default function MusicPlayer() {
   useEffect(() => localStorage.setItem(STORAGE.active, activeName), [activeName]);
   useEffect(() => localStorage.setItem(STORAGE.idxMap, JSON.stringify(idxMap)), [idxMap]);
   useEffect(() => localStorage.setItem(STORAGE.repeat, JSON.stringify(repeatByName)), [repeatByName]);
+  useEffect(() => localStorage.setItem(STORAGE.shuffle, JSON.stringify(shuffleByName)), [shuffleByName]);
+  useEffect(() => localStorage.setItem(STORAGE.queue, JSON.stringify(queue)), [queue]);
   useEffect(() => localStorage.setItem(STORAGE.volume, String(volume)), [volume]);
 
   /* ---------- Derived ---------- */
@@ -67,17 +150,30 @@ export default function MusicPlayer() {
     if (!names.includes(activeName)) setActiveName(names[0] || "Default");
   }, [names, activeName]);
 
-  const playlist = playlists[activeName] || [];
+  const playlist = useMemo(() => playlists[activeName] || [], [playlists, activeName]);
   const currentIdx = Number.isFinite(idxMap[activeName]) ? idxMap[activeName] : -1;
   const setCurrentIdx = (iOrFn) =>
     setIdxMap((p) => ({ ...p, [activeName]: typeof iOrFn === "function" ? iOrFn(p[activeName] ?? -1) : iOrFn }));
 
-  const repeatMode = repeatByName[activeName] || "off";
+  const repeatMode = repeatByName[activeName] || "all";
   const setRepeatMode = (m) => setRepeatByName((p) => ({ ...p, [activeName]: m }));
 
+  const shuffleDeal = shuffleByName[activeName];
+  const shuffleOn = shuffleDeal != null;
+  const shuffleSeed = typeof shuffleDeal === "object" ? shuffleDeal.seed : shuffleDeal;
+  const shuffleLead = typeof shuffleDeal === "object" ? shuffleDeal.lead : null;
+  const playOrder = useMemo(
+    () => (shuffleOn ? shuffleOrder(playlist, shuffleSeed, shuffleLead) : playlist.map((_, i) => i)),
+    [playlist, shuffleOn, shuffleSeed, shuffleLead]
+  );
+
+  // a track taken off Up Next; while set it plays instead of the playlist's current track,
+  // and the playlist picks up after currentIdx once the queue runs dry
+  const [queued, setQueued] = useState(null);
+
   const current = useMemo(
-    () => (currentIdx >= 0 && currentIdx < playlist.length ? playlist[currentIdx] : null),
-    [currentIdx, playlist]
+    () => queued || (currentIdx >= 0 && currentIdx < playlist.length ? playlist[currentIdx] : null),
+    [queued, currentIdx, playlist]
   );
 
   /* ---------- Screen switching ---------- */
@@ -106,113 +202,318 @@ export default function MusicPlayer() {
   const [loading, setLoading] = useState(false);
   const [err, setErr] = useState("");
   const [showResults, setShowResults] = useState(false);
+  const [nextToken, setNextToken] = useState(null);    // next results page, null at the end
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [searchedQuery, setSearchedQuery] = useState(""); // what `results` are for
+
+  const searchSeqRef = useRef(0);          // only the latest search may write results
+  const searchAbortRef = useRef(null);
+  const lastQueryRef = useRef("");         // last query sent, so the debounce doesn't repeat it
+
+  const runSearch = async (q, { more = false } = {}) => {
+    const seq = ++searchSeqRef.current;
+    searchAbortRef.current?.abort();
+    const ctl = new AbortController();
+    searchAbortRef.current = ctl;
+    if (more) setLoadingMore(true);
+    else { setLoading(true); lastQueryRef.current = q; }
+    setErr("");
+    try {
+      const page = await searchYouTube(q, { pageToken: more ? nextToken : null, signal: ctl.signal });
+      if (seq !== searchSeqRef.current) return;
+      // pages can overlap when YouTube reshuffles between requests
+      setResults((prev) => (more ? [...prev, ...page.items.filter((t) => !prev.some((x) => x.videoId === t.videoId))] : page.items));
+      setNextToken(page.nextPageToken);
+      setSearchedQuery(q);
+      setShowResults(true);
+    } catch (e2) {
+      if (e2.name === "AbortError" || seq !== searchSeqRef.current) return;
+      console.error(e2);
+      setErr(searchErrorText(e2));
+    } finally {
+      if (seq === searchSeqRef.current) { setLoading(false); setLoadingMore(false); }
+    }
+  };
+  const runSearchRef = useRef(runSearch);
+  runSearchRef.current = runSearch;
+  useEffect(() => () => searchAbortRef.current?.abort(), []);
+
+  const loadMore = () => {
+    if (nextToken && !loading && !loadingMore && searchedQuery) runSearch(searchedQuery, { more: true });
+  };
+
+  // search as you type; links wait for Enter, since pasting one adds or imports
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < 2 || q === lastQueryRef.current || parseYouTubeUrl(q)) return;
+    const id = setTimeout(() => runSearchRef.current(q), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(id);
+  }, [query]);
+
+  /* ---------- Search history ---------- */
+  const [history, setHistory] = useState(() => {
+    try { const h = JSON.parse(localStorage.getItem(STORAGE.history)); return Array.isArray(h) ? h : []; }
+    catch { return []; }
+  });
+  useEffect(() => localStorage.setItem(STORAGE.history, JSON.stringify(history)), [history]);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [historyIdx, setHistoryIdx] = useState(-1); // highlighted row for arrow keys
+
+  const rememberQuery = (q) => {
+    const v = q.trim();
+    if (v) setHistory((h) => [v, ...h.filter((x) => x.toLowerCase() !== v.toLowerCase())].slice(0, HISTORY_MAX));
+  };
+  const historyMatches = history.filter((h) => {
+    const q = query.trim().toLowerCase();
+    return h.toLowerCase() !== q && h.toLowerCase().includes(q);
+  });
+  const pickHistory = (h) => {
+    setQuery(h);
+    setHistoryOpen(false);
+    setHistoryIdx(-1);
+    rememberQuery(h);
+    runSearch(h);
+  };
+
+  // a search "counts" for history once it's submitted or one of its results is used
+  const doneWithResults = () => {
+    rememberQuery(searchedQuery);
+    setShowResults(false); setResults([]); setNextToken(null); setQuery(""); setErr("");
+    lastQueryRef.current = "";
+  };
 
   const doSearch = async (e) => {
     e?.preventDefault?.();
-    if (!query.trim()) return;
-    if (!API_KEY) { setErr("Add VITE_YT_API_KEY to .env"); return; }
+    const q = query.trim();
+    if (!q) return;
+    setHistoryOpen(false);
+    // pasted links skip the search: a video goes straight in, a playlist gets imported
+    const link = parseYouTubeUrl(q);
+    if (link?.videoId) { addVideoLink(link.videoId); return; }
+    if (link?.listId) { setQuery(""); setErr(""); runPlaylistImport({ listId: link.listId }); return; }
+    rememberQuery(q);
+    runSearch(q);
+  };
+
+  /* ---------- Pasted YouTube links ---------- */
+  const addVideoLink = async (videoId) => {
     setLoading(true); setErr("");
     try {
-      const url = new URL("https://www.googleapis.com/youtube/v3/search");
-      url.searchParams.set("part", "snippet");
-      url.searchParams.set("type", "video");
-      url.searchParams.set("videoCategoryId", "10");
-      url.searchParams.set("q", query.trim());
-      url.searchParams.set("maxResults", "15");
-      url.searchParams.set("key", API_KEY);
-      const r = await fetch(url);
-      const j = await r.json();
-      if (j.error) throw new Error(j.error.message || "API error");
-      const items = (j.items || []).map((it) => ({
-        videoId: it.id.videoId,
-        title: it.snippet.title,
-        channel: it.snippet.channelTitle,
-        thumb: it.snippet.thumbnails?.default?.url,
-      }));
-      setResults(items);
-      setShowResults(true);
+      addToActive(await youtube.video(videoId), true);
+      setQuery("");
     } catch (e2) {
       console.error(e2);
-      setErr("Search failed (key/quota?).");
+      setErr(e2.message);
     } finally {
       setLoading(false);
     }
   };
 
-  /* ---------- YouTube Iframe API ---------- */
+  // { listId, name, pageToken, added, seen, skipped, total, error, running }; kept after a failure
+  // so "Retry" picks up from the page that failed
+  const [ytImport, setYtImport] = useState(null);
+  const ytImportAbortRef = useRef(null);
+  useEffect(() => () => ytImportAbortRef.current?.abort(), []);
+
+  const runPlaylistImport = async (resume) => {
+    ytImportAbortRef.current?.abort();
+    const ctl = new AbortController();
+    ytImportAbortRef.current = ctl;
+    const { signal } = ctl;
+    let job = { added: 0, seen: 0, skipped: 0, total: null, pageToken: null, ...resume, error: "", running: true };
+    const report = (patch) => { job = { ...job, ...patch }; if (!signal.aborted) setYtImport(job); };
+    report({});
+
+    try {
+      if (!job.name) {
+        const meta = await youtube.playlist(job.listId, { signal });
+        // createPlaylist trims, so the name pages merge under has to be trimmed up front
+        const name = freeName(meta.title.trim() || "YouTube playlist", names);
+        createPlaylist(name);
+        report({ name, total: meta.total });
+      }
+      do {
+        let page;
+        // one quiet retry per page; quota and key errors won't get better by asking again
+        for (let attempt = 0; !page; attempt++) {
+          try { page = await youtube.playlistPage(job.listId, { pageToken: job.pageToken, signal }); }
+          catch (e) { if (attempt > 0 || e.name === "AbortError" || e.kind === "quota" || e.kind === "key") throw e; }
+        }
+        const { name } = job;
+        setPlaylists((p) => (name in p ? { ...p, [name]: mergeTracks(p[name], page.items) } : p));
+        report({
+          pageToken: page.nextPageToken,
+          added: job.added + page.items.length,
+          seen: job.seen + page.items.length + page.skipped,
+          skipped: job.skipped + page.skipped,
+        });
+      } while (job.pageToken);
+      report({ running: false });
+    } catch (e) {
+      if (e.name === "AbortError") return;
+      console.error(e);
+      if (!job.name) { setErr(e.message); setYtImport(null); return; } // nothing created yet
+      report({ running: false, error: e.message });
+    }
+  };
+
+  const stopPlaylistImport = () => {
+    ytImportAbortRef.current?.abort();
+    setYtImport((j) => j && { ...j, running: false, error: "Stopped." });
+  };
+
+  /* ---------- Playback sources (YouTube + local files) ---------- */
   const rootRef = useRef(null);          // whole player root (for outside click detect)
-  const containerRef = useRef(null);     // YT iframe container
-  const playerRef = useRef(null);
-  const [ytReady, setYtReady] = useState(false);
+  const containerRef = useRef(null);     // YT iframe host
+  const sourcesRef = useRef(null);       // { youtube, local }
   const [isPlaying, setIsPlaying] = useState(false);
   const [needsGesture, setNeedsGesture] = useState(false);
 
+  // latest values for the sources' event handlers, which are bound once
+  const activeKindRef = useRef(null);
+  const handleEndedRef = useRef(null);
+  const playFailedRef = useRef(null);
+  const skippedKeyRef = useRef(null); // the unplayable track already skipped, so it's reported once
+  const volumeRef = useRef(volume);
+  activeKindRef.current = current ? trackSource(current) : null;
+  volumeRef.current = volume;
+
   useEffect(() => {
-    if (window.YT?.Player) { setYtReady(true); return; }
-    const s = document.createElement("script");
-    s.src = "https://www.youtube.com/iframe_api";
-    s.async = true;
-    document.body.appendChild(s);
-    window.onYouTubeIframeAPIReady = () => setYtReady(true);
-    return () => {};
+    // only the source of the current track reports back; the other one is paused anyway
+    const handlers = (kind) => ({
+      onPlay: () => { if (activeKindRef.current === kind) { setIsPlaying(true); setNeedsGesture(false); } },
+      onPause: () => { if (activeKindRef.current === kind) setIsPlaying(false); },
+      onEnded: () => { if (activeKindRef.current === kind) handleEndedRef.current?.(); },
+      onError: (e) => { if (activeKindRef.current === kind) playFailedRef.current?.(e); },
+    });
+    const sources = {
+      youtube: createYouTubeSource(containerRef.current, handlers("youtube"), volumeRef.current),
+      local: createLocalSource(handlers("local"), volumeRef.current),
+    };
+    sourcesRef.current = sources;
+    return () => {
+      Object.values(sources).forEach(s => s.destroy());
+      sourcesRef.current = null;
+    };
   }, []);
 
+  const sourceFor = (t) => (t ? sourcesRef.current?.[trackSource(t)] : null);
+
+  // `t`: the track that failed, when it may no longer be the current one
+  const onPlayError = (e, t) => {
+    if (e?.name === "AbortError") return; // a newer load took over
+    if (e?.name === "NotAllowedError") { setNeedsGesture(true); return; }
+    if (e?.name === "NotFoundError") { setErr("That file is no longer stored in this browser — add it again."); setIsPlaying(false); return; }
+    playFailedRef.current?.(e, t);
+  };
+
+  const startTrack = (t) => {
+    const src = sourceFor(t);
+    if (!src) return;
+    // one source at a time: leaving a YouTube track for a local one (or back) stops the other
+    Object.values(sourcesRef.current).forEach(s => { if (s !== src) s.pause(); });
+    skippedKeyRef.current = null;
+    src.load(t).then(() => setIsPlaying(true), (e) => onPlayError(e, t));
+  };
+
+  // Load & play on current change (not on page load: the remembered track waits for Play)
+  const currentKey = current ? trackKey(current) : null;
+  const lastLoadedKeyRef = useRef(currentKey);
+  const startTrackRef = useRef(startTrack);
+  startTrackRef.current = () => startTrack(current);
   useEffect(() => {
-    if (!ytReady || playerRef.current || !containerRef.current || !window.YT?.Player) return;
-    playerRef.current = new window.YT.Player(containerRef.current, {
-      height: "0",
-      width: "0",
-      playerVars: { rel: 0, modestbranding: 1 },
-      events: {
-        onReady: (e) => {
-          e.target.setVolume?.(volume);
-          // Fix: keep hidden iframe from stealing keyboard
-          const iframe = e.target.getIframe?.();
-          if (iframe) {
-            iframe.setAttribute("tabindex", "-1");
-            iframe.setAttribute("aria-hidden", "true");
-            try { iframe.blur(); } catch {}
-          }
-        },
-        onStateChange: (e) => {
-          const Y = window.YT?.PlayerState;
-          if (!Y) return;
-          if (e.data === Y.PLAYING) { setIsPlaying(true); setNeedsGesture(false); }
-          if (e.data === Y.PAUSED) setIsPlaying(false);
-          if (e.data === Y.ENDED) handleEnded();
-        },
-      },
-    });
-  }, [ytReady, volume]);
+    if (!currentKey || currentKey === lastLoadedKeyRef.current) return;
+    lastLoadedKeyRef.current = currentKey;
+    startTrackRef.current();
+  }, [currentKey]);
 
-  // Load & play on current change
-  const lastLoadedVideoIdRef = useRef(null);
   useEffect(() => {
-    const p = playerRef.current;
-    if (!p || !current || typeof p.loadVideoById !== "function") return;
+    Object.values(sourcesRef.current || {}).forEach(s => s.setVolume(volume));
+  }, [volume]);
+
+  /* ---------- Local files ---------- */
+  const fileInputRef = useRef(null);
+  const [importing, setImporting] = useState(0);     // files still being read
+  const [dropping, setDropping] = useState(false);
+  const [covers, setCovers] = useState({});          // fileId → object URL ("" = no embedded art)
+
+  const addFiles = async (fileList) => {
+    const files = [...fileList].filter(isSupportedAudio);
+    const skipped = fileList.length - files.length;
+    setErr(skipped ? `Skipped ${skipped} file${skipped > 1 ? "s" : ""} (only MP3, OGG and FLAC).` : "");
+    if (!files.length) return;
+    setImporting(files.length);
+    const added = [];
+    for (const f of files) {
+      try { added.push(await addLocalFile(f)); }
+      catch (e) { console.error(e); setErr(e.name === "BlockedError" ? e.message : "Couldn't store a file (browser storage full?)."); }
+      setImporting((n) => n - 1);
+    }
+    added.forEach((t) => addToActive(t, false));
+  };
 
-    const newId = current.videoId;
-    const prevId = lastLoadedVideoIdRef.current;
+  const onFilesDragOver = (e) => {
+    if (!e.dataTransfer?.types?.includes("Files")) return;
+    e.preventDefault();
+    setDropping(true);
+  };
+  const onFilesDrop = (e) => {
+    setDropping(false);
+    if (!e.dataTransfer?.files?.length) return;
+    e.preventDefault();
+    addFiles(e.dataTransfer.files);
+  };
 
-    try {
-      if (prevId === newId) {
-        const maybe = p.playVideo?.();
-        if (maybe && typeof maybe.then === "function") maybe.catch(() => setNeedsGesture(true));
-        setIsPlaying(true);
-        return;
-      }
-      p.loadVideoById(newId);
-      p.setVolume?.(volume);
-      const maybe = p.playVideo?.();
-      if (maybe && typeof maybe.then === "function") maybe.catch(() => setNeedsGesture(true));
-      setIsPlaying(true);
-      lastLoadedVideoIdRef.current = newId || null;
-    } catch (e) {
-      console.error(e);
-    }
-  }, [currentIdx, current, volume]);
+  // every local file still referenced by some playlist or by Up Next
+  const localIds = useMemo(
+    () => new Set([...Object.values(playlists).flat(), ...queue, ...(queued ? [queued] : [])]
+      .filter((t) => trackSource(t) === "local").map((t) => t.fileId)),
+    [playlists, queue, queued]
+  );
 
-  useEffect(() => { playerRef.current?.setVolume?.(volume); }, [volume]);
+  // a file no playlist uses anymore leaves IndexedDB too, and its cover URL is released
+  const prevLocalIdsRef = useRef(localIds);
+  const coversRef = useRef(covers);
+  coversRef.current = covers;
+  useEffect(() => {
+    const gone = [...prevLocalIdsRef.current].filter((id) => !localIds.has(id));
+    prevLocalIdsRef.current = localIds;
+    gone.forEach((id) => deleteLocalFile(id).catch((e) => console.error(e)));
+    const dropped = gone.filter((id) => id in coversRef.current);
+    if (!dropped.length) return;
+    dropped.forEach((id) => coversRef.current[id] && URL.revokeObjectURL(coversRef.current[id]));
+    setCovers((c) => {
+      const next = { ...c };
+      dropped.forEach((id) => delete next[id]);
+      return next;
+    });
+  }, [localIds]);
+  useEffect(() => () => {
+    Object.values(coversRef.current).forEach((u) => u && URL.revokeObjectURL(u));
+  }, []);
+
+  // embedded cover art → object URLs, loaded once per file
+  useEffect(() => {
+    const missing = [...localIds].filter((id) => !(id in covers));
+    if (!missing.length) return;
+    let alive = true;
+    Promise.all(missing.map((id) => getLocalCover(id).then(
+      (b) => [id, b ? URL.createObjectURL(b) : ""],
+      () => [id, ""]
+    ))).then((entries) => {
+      if (!alive) { entries.forEach(([, u]) => u && URL.revokeObjectURL(u)); return; }
+      setCovers((c) => ({ ...c, ...Object.fromEntries(entries) }));
+    });
+    return () => { alive = false; };
+  }, [localIds, covers]);
+
+  const trackCover = (t) => (trackSource(t) === "local" ? covers[t.fileId] || "" : coverUrl(t.videoId, t.thumb));
+
+  // now-playing summary for TimerCard's focus mode
+  const currentCover = current ? trackCover(current) : "";
+  useEffect(() => {
+    onNowPlaying?.(current ? { title: current.title, channel: current.channel, thumb: currentCover, playing: isPlaying } : null);
+  }, [current, currentCover, isPlaying, onNowPlaying]);
 
   /* ---------- Progress polling ---------- */
   const [curTime, setCurTime] = useState(0);
@@ -223,19 +524,19 @@ export default function MusicPlayer() {
   useEffect(() => {
     let id;
     const tick = () => {
-      const p = playerRef.current;
-      if (!p) return;
-      const dur = p.getDuration?.() ?? 0;
-      const t = p.getCurrentTime?.() ?? 0;
+      const src = sourcesRef.current?.[activeKindRef.current];
+      if (!src) return;
+      const dur = src.duration();
+      const t = src.time();
       if (!seeking) setCurTime(Number.isFinite(t) ? t : 0);
       setDuration(Number.isFinite(dur) ? dur : 0);
     };
-    if (screen === "songs" && currentIdx >= 0) {
+    if (screen === "songs" && current) {
       id = setInterval(tick, 500);
       tick();
     }
     return () => { if (id) clearInterval(id); };
-  }, [screen, currentIdx, seeking]);
+  }, [screen, current, seeking]);
 
   const formatTime = (s) => {
     if (!Number.isFinite(s) || s < 0) s = 0;
@@ -246,55 +547,106 @@ export default function MusicPlayer() {
 
   /* ---------- Playback + repeat ---------- */
   const togglePlay = () => {
-    const p = playerRef.current;
-    if (!p) { if (playlist.length) setCurrentIdx((prev) => Math.max(0, prev ?? 0)); return; }
-    if (!current && playlist.length) { setCurrentIdx(0); return; }
-    const Y = window.YT?.PlayerState;
-    const st = p?.getPlayerState?.();
-    if (st === Y.PLAYING) { p.pauseVideo?.(); setIsPlaying(false); }
+    if (!current) { if (playlist.length) setCurrentIdx(0); return; }
+    const src = sourceFor(current);
+    if (!src) return;
+    if (src.playing()) { src.pause(); setIsPlaying(false); }
     else {
-      const maybe = p.playVideo?.();
-      if (maybe && typeof maybe.then === "function") maybe.catch(() => setNeedsGesture(true));
-      setIsPlaying(true);
+      // after a page load the remembered track isn't loaded yet; load() covers both cases
+      startTrack(current);
     }
   };
 
   const playByIndex = (i) => {
     if (i < 0 || i >= playlist.length) return;
-    if (!playerRef.current || !ytReady) { setCurrentIdx(i); return; }
-    if (i === currentIdx) togglePlay();
-    else setCurrentIdx(i);
+    if (i === currentIdx && !queued) togglePlay();
+    else { setQueued(null); setCurrentIdx(i); }
   };
 
   const restartCurrent = () => {
-    const p = playerRef.current;
-    if (!p) return;
-    try {
-      p.seekTo?.(0, true);
-      const maybe = p.playVideo?.();
-      if (maybe && typeof maybe.then === "function") maybe.catch(() => setNeedsGesture(true));
-      setIsPlaying(true);
-    } catch {}
+    const src = sourceFor(current);
+    if (!src) return;
+    src.seek(0);
+    src.play().then(() => setIsPlaying(true), onPlayError);
+  };
+
+  // next: Up Next first, then the playlist in play order; `wrap` = go round past the last track
+  const advance = (wrap) => {
+    if (queue.length) {
+      const [t, ...rest] = queue;
+      setQueue(rest);
+      setQueued(t);
+      if (trackKey(t) === currentKey) restartCurrent();
+      return;
+    }
+    const i = stepIndex(playOrder, currentIdx, 1, wrap);
+    if (i < 0) { setIsPlaying(false); return; } // stop at the end
+    // landing on the track already loaded doesn't change `current`, so nothing would reload it
+    if (trackKey(playlist[i]) === currentKey) restartCurrent();
+    setQueued(null);
+    setCurrentIdx(i);
+  };
+
+  // next / previous (keyboard); previous from a queued track returns to the playlist's track
+  const stepTrack = (delta) => {
+    if (delta > 0) { advance(true); return; }
+    if (queued) { setQueued(null); return; }
+    const i = stepIndex(playOrder, currentIdx, -1, true);
+    if (i >= 0) setCurrentIdx(i);
   };
 
   // Double-advance guard
   const lastAdvanceRef = useRef(0);
 
   const handleEnded = () => {
-    if (!playlist.length) return;
     if (repeatMode === "one") { restartCurrent(); return; }
     const now = Date.now();
     if (now - lastAdvanceRef.current < 700) return;
     lastAdvanceRef.current = now;
-    setCurrentIdx((prev) => {
-      const n = playlist.length;
-      if (!Number.isInteger(prev) || prev < 0) return n > 0 ? 0 : -1;
-      return n > 0 ? (prev + 1) % n : -1;
+    advance(repeatMode === "all");
+  };
+
+  handleEndedRef.current = handleEnded;
+
+  // a track that can't play is reported and skipped; play()'s rejection and the error event both
+  // land here, and a lone broken track under repeat isn't retried forever
+  playFailedRef.current = (e, t = current) => {
+    if (!t || trackKey(t) !== currentKey || skippedKeyRef.current === currentKey) return;
+    skippedKeyRef.current = currentKey;
+    console.error(e);
+    setErr(`Couldn't play “${t.title}” — skipped it.`);
+    setNeedsGesture(false);
+    advance(repeatMode !== "off");
+  };
+
+  const cycleRepeat = () => {
+    setRepeatMode(repeatMode === "off" ? "all" : repeatMode === "all" ? "one" : "off");
+  };
+
+  // turning shuffle on always deals a fresh order; "reshuffle" deals another without turning it off.
+  // The deal starts at the current track, so advancing from it covers the rest of the round.
+  const reshuffle = () => {
+    const lead = playlist[currentIdx] ? trackKey(playlist[currentIdx]) : null;
+    setShuffleByName((p) => ({ ...p, [activeName]: { seed: newSeed(), lead } }));
+  };
+  const toggleShuffle = () => {
+    if (!shuffleOn) { reshuffle(); return; }
+    setShuffleByName((p) => {
+      const { [activeName]: _drop, ...rest } = p;
+      return rest;
     });
   };
 
-  const toggleRepeatOne = () => {
-    setRepeatMode(repeatMode === "one" ? "off" : "one");
+  /* ---------- Up Next ---------- */
+  const enqueue = (t) => setQueue((q) => [...q, t]);
+  const unqueueAt = (i) => setQueue((q) => q.filter((_, j) => j !== i));
+  // jump the queue: play item i now, dropping it from Up Next
+  const playQueued = (i) => {
+    const t = queue[i];
+    if (!t) return;
+    unqueueAt(i);
+    if (trackKey(t) === currentKey) restartCurrent();
+    setQueued(t);
   };
 
   /* ---------- Playlist CRUD ---------- */
@@ -308,7 +660,7 @@ export default function MusicPlayer() {
     if (playlists[name]) return;
     setPlaylists((p) => ({ ...p, [name]: [] }));
     setIdxMap((p) => ({ ...p, [name]: -1 }));
-    setRepeatByName((p) => ({ ...p, [name]: "off" }));
+    setRepeatByName((p) => ({ ...p, [name]: "all" }));
     setActiveName(name);
   };
 
@@ -319,6 +671,10 @@ export default function MusicPlayer() {
     setPlaylists(rest);
     setIdxMap(({ [name]: __, ...r }) => r);
     setRepeatByName(({ [name]: __m, ...mr }) => mr);
+    setShuffleByName((p) => {
+      const { [name]: _drop, ...rest } = p;
+      return rest;
+    });
     if (activeName === name) setActiveName(Object.keys(rest)[0] || "Default");
   };
 
@@ -335,20 +691,44 @@ export default function MusicPlayer() {
     });
     setRepeatByName((prev) => {
       const { [oldName]: v, ...rest } = prev;
-      return { ...rest, [newName]: v || "off" };
+      return { ...rest, [newName]: v || "all" };
+    });
+    setShuffleByName((prev) => {
+      if (!(oldName in prev)) return prev;
+      const { [oldName]: v, ...rest } = prev;
+      return { ...rest, [newName]: v };
     });
     if (activeName === oldName) setActiveName(newName);
   };
 
+  /* ---------- Import / export ---------- */
+  const [transfer, setTransfer] = useState(null); // null | "import" | "export"
+
+  const importPlaylists = (plan) => {
+    setPlaylists((prev) => {
+      const next = { ...prev };
+      plan.forEach(({ name, tracks, action }) => {
+        next[name] = action === "merge" ? mergeTracks(prev[name] || [], tracks) : tracks;
+      });
+      return next;
+    });
+    // merged playlists keep their place; new and replaced ones start from the top
+    const fresh = plan.filter((x) => x.action !== "merge").map((x) => x.name);
+    setIdxMap((p) => ({ ...p, ...Object.fromEntries(fresh.map((n) => [n, -1])) }));
+    setRepeatByName((p) => ({ ...Object.fromEntries(fresh.map((n) => [n, "all"])), ...p }));
+    if (fresh.includes(activeName) && !queued) { sourceFor(current)?.pause(); setIsPlaying(false); }
+  };
+
   /* ---------- Track ops ---------- */
   const addToActive = (t, playNow = false) => {
     setPlaylists((prev) => {
       const arr = prev[activeName] || [];
-      if (arr.some((x) => x.videoId === t.videoId)) return prev;
+      if (arr.some((x) => trackKey(x) === trackKey(t))) return prev;
       return { ...prev, [activeName]: [...arr, t] };
     });
     if (playNow) {
-      const idx = playlist.findIndex((x) => x.videoId === t.videoId);
+      setQueued(null); // otherwise the Up Next track keeps playing over the new one
+      const idx = playlist.findIndex((x) => trackKey(x) === trackKey(t));
       if (idx >= 0) setCurrentIdx(idx);
       else setCurrentIdx(playlist.length);
     }
@@ -360,7 +740,7 @@ export default function MusicPlayer() {
       arr.splice(idx, 1);
       return { ...prev, [activeName]: arr };
     });
-    if (idx === currentIdx) {
+    if (idx === currentIdx && !queued) {
       const newLen = playlist.length - 1;
       setCurrentIdx(newLen <= 0 ? -1 : Math.min(idx, newLen - 1));
       setIsPlaying(false);
@@ -386,7 +766,7 @@ export default function MusicPlayer() {
   const [dragIndex, setDragIndex] = useState(-1);
   const [dragOverIndex, setDragOverIndex] = useState(-1);
   const onDragStart = (i) => setDragIndex(i);
-  const onDragOver = (e, i) => { e.preventDefault(); setDragOverIndex(i); };
+  const onDragOver = (e, i) => { if (dragIndex < 0) return; e.preventDefault(); setDragOverIndex(i); }; // files: see onFilesDragOver
   const onDrop = (i) => { if (dragIndex >= 0 && i >= 0 && dragIndex !== i) moveItem(dragIndex, i); setDragIndex(-1); setDragOverIndex(-1); };
   const onDragEnd = () => { setDragIndex(-1); setDragOverIndex(-1); };
 
@@ -455,6 +835,11 @@ export default function MusicPlayer() {
   }, [screen, confirmDel.open, confirmSongDel.open, confirmClear.open]);
 
   /* ---------- Global key handler (ignore when typing) ---------- */
+  // latest closures for the listener below, so it doesn't re-subscribe on every render
+  const togglePlayRef = useRef(togglePlay);
+  const stepTrackRef = useRef(stepTrack);
+  togglePlayRef.current = togglePlay;
+  stepTrackRef.current = stepTrack;
   useEffect(() => {
     const onKey = (e) => {
       // Ignore ALL globals while typing in input/textarea/contentEditable
@@ -465,7 +850,12 @@ export default function MusicPlayer() {
       if (e.key === "Escape") {
         if (showResults) setShowResults(false);
         else if (screen === "songs") goPlaylists();
+        return;
       }
+      // rebindable playback keys (see ./shortcuts)
+      if (matchShortcut(e, "music.toggle")) { e.preventDefault(); togglePlayRef.current(); }
+      else if (matchShortcut(e, "music.next")) { e.preventDefault(); stepTrackRef.current(1); }
+      else if (matchShortcut(e, "music.prev")) { e.preventDefault(); stepTrackRef.current(-1); }
     };
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
@@ -512,7 +902,11 @@ export default function MusicPlayer() {
                 <div className="p-3 border-b flex items-center justify-between">
                   <div className="text-xs text-gray-500">Playlists</div>
                   {!creating ? (
-                    <button onClick={() => setCreating(true)} className="px-2 py-1 text-xs border rounded hover:bg-gray-100">+ New</button>
+                    <div className="flex items-center gap-1">
+                      <button onClick={() => setTransfer("import")} className="px-2 py-1 text-xs border rounded hover:bg-gray-100">Import</button>
+                      <button onClick={() => setTransfer("export")} className="px-2 py-1 text-xs border rounded hover:bg-gray-100">Export</button>
+                      <button onClick={() => setCreating(true)} className="px-2 py-1 text-xs border rounded hover:bg-gray-100">+ New</button>
+                    </div>
                   ) : (
                     <div className="flex items-center gap-1">
                       <input
@@ -608,17 +1002,34 @@ export default function MusicPlayer() {
                       <span className="text-[11px] text-gray-600">Press Play to start.</span>
                     )}
 
-                    {/* Repeat: toggle OFF ⇄ ONE */}
+                    {/* Shuffle: on/off, plus a fresh order while on */}
+                    <button
+                      onClick={toggleShuffle}
+                      className={`px-2 py-1 text-xs border rounded transition-colors duration-200 ${
+                        shuffleOn ? "text-emerald-600 border-emerald-200 bg-emerald-50" : "text-gray-600"
+                      }`}
+                      title={shuffleOn ? "Shuffle On" : "Shuffle Off"}
+                      aria-pressed={shuffleOn}
+                    >
+                      🔀
+                    </button>
+                    {shuffleOn && (
+                      <button onClick={reshuffle} className="px-2 py-1 text-xs border rounded hover:bg-gray-100" title="Reshuffle">
+                        ↻
+                      </button>
+                    )}
+
+                    {/* Repeat: OFF → ALL → ONE */}
                     <button
-                      onClick={toggleRepeatOne}
+                      onClick={cycleRepeat}
                       className={`px-2 py-1 text-xs border rounded transition-colors duration-200 ${
-                        repeatMode === "one"
+                        repeatMode !== "off"
                           ? "text-emerald-600 border-emerald-200 bg-emerald-50"
                           : "text-gray-600"
                       }`}
-                      title={repeatMode === "one" ? "Repeat One" : "Repeat Off"}
+                      title={repeatMode === "one" ? "Repeat One" : repeatMode === "all" ? "Repeat All" : "Repeat Off (stop at the end)"}
                     >
-                      🔂
+                      {repeatMode === "one" ? "🔂" : "🔁"}
                     </button>
 
                     <button
@@ -633,46 +1044,146 @@ export default function MusicPlayer() {
                 {/* Search */}
                 <div className="p-3 border-b flex flex-col gap-2">
                   <form onSubmit={doSearch} className="flex items-center gap-2">
-                    <input
-                      className="flex-1 border rounded px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-blue-200"
-                      placeholder="Search YouTube… (e.g., K-pop, lo-fi, artist name)"
-                      value={query}
-                      onChange={(e) => setQuery(e.target.value)}
-                      // Keep typing keys (letters/digits/space) from bubbling to page/iframe
-                      onKeyDown={(e) => {
-                        if (!e.ctrlKey && !e.metaKey && !e.altKey) {
-                          e.stopPropagation();
-                        }
-                      }}
-                      autoFocus
-                      enterKeyHint="search"
-                    />
+                    <div className="relative flex-1">
+                      <input
+                        className="w-full border rounded px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-blue-200"
+                        placeholder="Search YouTube or paste a video / playlist link…"
+                        value={query}
+                        onChange={(e) => { setQuery(e.target.value); setHistoryOpen(true); setHistoryIdx(-1); }}
+                        onFocus={() => setHistoryOpen(true)}
+                        onBlur={() => setHistoryOpen(false)}
+                        // Keep typing keys (letters/digits/space) from bubbling to page/iframe
+                        onKeyDown={(e) => {
+                          if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+                            e.stopPropagation();
+                          }
+                          if (!historyOpen || !historyMatches.length) return;
+                          if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+                            e.preventDefault();
+                            const n = historyMatches.length;
+                            setHistoryIdx((i) => (e.key === "ArrowDown" ? (i + 1) % n : (i <= 0 ? n : i) - 1));
+                          } else if (e.key === "Enter" && historyIdx >= 0) {
+                            e.preventDefault();
+                            pickHistory(historyMatches[historyIdx]);
+                          } else if (e.key === "Escape") {
+                            setHistoryOpen(false);
+                          }
+                        }}
+                        autoFocus
+                        enterKeyHint="search"
+                        role="combobox"
+                        aria-expanded={historyOpen && historyMatches.length > 0}
+                        aria-controls="music-search-history"
+                        aria-autocomplete="list"
+                      />
+                      {historyOpen && historyMatches.length > 0 && (
+                        <ul
+                          id="music-search-history"
+                          role="listbox"
+                          aria-label="Recent searches"
+                          className="absolute left-0 right-0 top-full mt-1 z-20 rounded border bg-white shadow-lg py-1 text-sm"
+                          // keep focus in the input, so picking doesn't blur-close first
+                          onMouseDown={(e) => e.preventDefault()}
+                        >
+                          {historyMatches.map((h, i) => (
+                            <li
+                              key={h}
+                              role="option"
+                              aria-selected={i === historyIdx}
+                              className={`flex items-center gap-2 px-3 py-1.5 cursor-pointer ${i === historyIdx ? "bg-blue-50" : "hover:bg-gray-50"}`}
+                              onClick={() => pickHistory(h)}
+                            >
+                              <span className="text-gray-400">↺</span>
+                              <span className="min-w-0 flex-1 truncate">{h}</span>
+                              <button
+                                type="button"
+                                className="px-1 text-xs text-gray-400 hover:text-gray-700"
+                                onClick={(e) => { e.stopPropagation(); setHistory((hs) => hs.filter((x) => x !== h)); }}
+                                aria-label={`Forget “${h}”`}
+                              >
+                                ✕
+                              </button>
+                            </li>
+                          ))}
+                          <li className="border-t mt-1 pt-1 px-3">
+                            <button type="button" className="text-xs text-gray-500 hover:text-gray-800" onClick={() => { setHistory([]); clearSearchCache(); }}>
+                              Clear history
+                            </button>
+                          </li>
+                        </ul>
+                      )}
+                    </div>
                     <button type="submit" disabled={loading} className="px-3 py-2 text-sm border rounded hover:bg-gray-100 disabled:opacity-60">
                       {loading ? "Searching…" : "Search"}
                     </button>
+                    <button
+                      type="button"
+                      onClick={() => fileInputRef.current?.click()}
+                      disabled={importing > 0}
+                      className="px-3 py-2 text-sm border rounded hover:bg-gray-100 disabled:opacity-60"
+                      title="Add MP3, OGG or FLAC files from this device (or drop them on the list)"
+                    >
+                      {importing > 0 ? `Adding ${importing}…` : "Files"}
+                    </button>
+                    <input
+                      ref={fileInputRef}
+                      type="file"
+                      accept={LOCAL_ACCEPT}
+                      multiple
+                      className="hidden"
+                      onChange={(e) => { addFiles(e.target.files); e.target.value = ""; }}
+                    />
                   </form>
 
+                  {ytImport && (
+                    <div className="flex items-center gap-2 text-xs text-gray-600" role="status">
+                      <span className="min-w-0 flex-1 truncate">
+                        {ytImport.running
+                          ? `Importing “${ytImport.name || "playlist"}”… ${ytImport.seen}${ytImport.total ? ` / ${ytImport.total}` : ""}`
+                          : `“${ytImport.name}”: added ${ytImport.added} track${ytImport.added === 1 ? "" : "s"}`}
+                        {ytImport.skipped > 0 && ` · ${ytImport.skipped} private or deleted skipped`}
+                        {ytImport.error && <span className="text-red-600"> · stopped early: {ytImport.error}</span>}
+                      </span>
+                      {ytImport.running ? (
+                        <button type="button" onClick={stopPlaylistImport} className="px-2 py-1 border rounded hover:bg-gray-100">Stop</button>
+                      ) : (
+                        <>
+                          {ytImport.error && (
+                            <button type="button" onClick={() => runPlaylistImport(ytImport)} className="px-2 py-1 border rounded hover:bg-gray-100">Retry</button>
+                          )}
+                          <button type="button" onClick={() => setYtImport(null)} className="px-2 py-1 border rounded hover:bg-gray-100" aria-label="Dismiss">✕</button>
+                        </>
+                      )}
+                    </div>
+                  )}
+
                   <div className={`overflow-hidden transition-all duration-200 ${showResults ? "max-h-80 opacity-100" : "max-h-0 opacity-0"}`}>
                     {showResults && (
                       <div className="mt-1 flex items-center justify-between text-xs text-gray-500">
                         <span>Results {results.length ? `(${results.length})` : ""}</span>
                         <div className="flex items-center gap-2">
-                          <button type="button" onClick={() => setShowResults(false)} className="px-2 py-1 border rounded hover:bg-gray-100">Close</button>
+                          <button type="button" onClick={() => { setShowResults(false); lastQueryRef.current = ""; }} className="px-2 py-1 border rounded hover:bg-gray-100">Close</button>
                         </div>
                       </div>
                     )}
                   </div>
                   {showResults && results.length > 0 && (
-                    <ul className="space-y-1.5 max-h-80 overflow-y-auto pr-2">
+                    <ul
+                      className="space-y-1.5 max-h-80 overflow-y-auto pr-2"
+                      onScroll={(e) => {
+                        const el = e.currentTarget;
+                        if (el.scrollTop + el.clientHeight >= el.scrollHeight - 60) loadMore();
+                      }}
+                    >
                       {results.map((t) => (
                         <li
                           key={t.videoId}
                           className="flex items-center gap-2 text-sm rounded px-1 py-1 cursor-pointer hover:bg-gray-50"
                           onClick={() => {
-                            const idx = playlist.findIndex((x) => x.videoId === t.videoId);
-                            if (idx >= 0) { if (idx === currentIdx) togglePlay(); else setCurrentIdx(idx); }
+                            const idx = playlist.findIndex((x) => trackKey(x) === trackKey(t));
+                            if (idx >= 0) playByIndex(idx);
                             else addToActive(t, true);
-                            setShowResults(false); setResults([]); setQuery(""); setErr("");
+                            doneWithResults();
                           }}
                           title="Add to playlist and play (or toggle if currently playing)"
                         >
@@ -681,40 +1192,121 @@ export default function MusicPlayer() {
                             <div className="truncate">{t.title}</div>
                             <div className="text-[11px] text-gray-500 truncate">{t.channel}</div>
                           </div>
+                          <button
+                            className="px-2 py-1 text-xs border rounded hover:bg-gray-100"
+                            onClick={(e) => { e.stopPropagation(); enqueue(t); }}
+                            title="Add to Up Next (the playlist stays as it is)"
+                          >
+                            + Queue
+                          </button>
                           <button
                             className="px-2 py-1 text-xs border rounded hover:bg-gray-100"
                             onClick={(e) => {
                               e.stopPropagation();
                               addToActive(t, false);
-                              setShowResults(false); setResults([]); setQuery(""); setErr("");
+                              doneWithResults();
                             }}
                           >
                             + Add
                           </button>
                         </li>
                       ))}
+                      {nextToken && (
+                        <li className="py-1 text-center">
+                          <button type="button" onClick={loadMore} disabled={loadingMore} className="px-2 py-1 text-xs border rounded hover:bg-gray-100 disabled:opacity-60">
+                            {loadingMore ? "Loading…" : "More results"}
+                          </button>
+                        </li>
+                      )}
                     </ul>
                   )}
-                  {err && <div className="text-xs text-red-600">{err}</div>}
+                  {err && <div className="text-xs text-red-600" role="alert">{err}</div>}
                 </div>
 
                 {/* Songs list */}
-                <div className="flex-1 min-h-0 overflow-y-auto overscroll-contain p-3 pb-32 pr-3 bg-transparent">
-                  <div className="border rounded">
+                <div
+                  className="flex-1 min-h-0 overflow-y-auto overscroll-contain p-3 pb-32 pr-3 bg-transparent"
+                  onDragOver={onFilesDragOver}
+                  onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setDropping(false); }}
+                  onDrop={onFilesDrop}
+                >
+                  {(queued || queue.length > 0) && (
+                    <div className="border rounded mb-3">
+                      <div className="px-3 py-2 border-b text-xs text-gray-500 flex items-center justify-between">
+                        <span>Up Next ({queue.length})</span>
+                        {queue.length > 0 && (
+                          <button onClick={() => setQueue([])} className="px-2 py-0.5 border rounded hover:bg-gray-100">Clear</button>
+                        )}
+                      </div>
+                      <ul className="p-3 space-y-1.5">
+                        {queued && (
+                          <li className="flex items-center gap-2 rounded px-1 py-1 bg-blue-50">
+                            <button
+                              className="relative w-10 h-10 rounded overflow-hidden border border-blue-300 focus:outline-none"
+                              title={isPlaying ? "Pause" : "Play"}
+                              onClick={togglePlay}
+                            >
+                              {trackCover(queued) ? (
+                                <img src={trackCover(queued)} alt="" className="absolute inset-0 w-full h-full object-cover" />
+                              ) : (
+                                <span className="absolute inset-0 grid place-items-center bg-gray-100 text-gray-400">♪</span>
+                              )}
+                              <span className="absolute inset-0 grid place-items-center text-[12px] bg-black/0 hover:bg-black/10 transition">
+                                {isPlaying ? "⏸" : "▶"}
+                              </span>
+                            </button>
+                            <div className="min-w-0 flex-1">
+                              <div className="truncate font-medium">{queued.title}</div>
+                              <div className="text-[11px] text-gray-500 truncate">Playing from Up Next · {formatTime(curTime)} / {formatTime(duration)}</div>
+                            </div>
+                            <button onClick={() => stepTrack(1)} className="px-2 py-1 text-xs border rounded hover:bg-gray-100" title="Skip">⏭</button>
+                          </li>
+                        )}
+                        {queue.map((t, i) => (
+                          <li key={`${trackKey(t)}-${i}`} className="flex items-center gap-2 rounded px-1 py-1 hover:bg-gray-50">
+                            <button
+                              className="relative w-10 h-10 rounded overflow-hidden focus:outline-none"
+                              title="Play now"
+                              onClick={() => playQueued(i)}
+                            >
+                              {trackCover(t) ? (
+                                <img src={trackCover(t)} alt="" className="absolute inset-0 w-full h-full object-cover" />
+                              ) : (
+                                <span className="absolute inset-0 grid place-items-center bg-gray-100 text-gray-400">♪</span>
+                              )}
+                            </button>
+                            <div className="min-w-0 flex-1 cursor-pointer" onClick={() => playQueued(i)} title="Play now">
+                              <div className="truncate">{t.title}</div>
+                              <div className="text-[11px] text-gray-500 truncate">{t.channel}</div>
+                            </div>
+                            <button
+                              onClick={() => unqueueAt(i)}
+                              className="px-2 py-1 text-xs border rounded hover:bg-gray-100 text-red-600"
+                              title="Remove from Up Next"
+                            >
+                              ✕
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  <div className={`border rounded ${dropping ? "ring-2 ring-blue-200 border-blue-300" : ""}`}>
                     <div className="px-3 py-2 border-b text-xs text-gray-500">Songs</div>
                     {playlist.length === 0 ? (
-                      <div className="p-3 text-sm text-gray-400">Empty. Search and add some tracks.</div>
+                      <div className="p-3 text-sm text-gray-400">Empty. Search YouTube, or drop audio files here.</div>
                     ) : (
                       <ul className="p-3 space-y-1.5">
                         {playlist.map((t, i) => {
-                          const active = i === currentIdx;
+                          const active = i === currentIdx && !queued;
                           const dragging = i === dragIndex;
                           const over = i === dragOverIndex;
                           const rowOpen = openRow === i;
 
                           return (
                             <motion.li
-                              key={`${t.videoId}-${i}`}
+                              key={`${trackKey(t)}-${i}`}
                               layout
                               initial={{ opacity: 0, y: 6, scale: 0.995 }}
                               animate={{ opacity: 1, y: 0, scale: 1, transition: { type: "spring", stiffness: 320, damping: 26 } }}
@@ -732,7 +1324,11 @@ export default function MusicPlayer() {
                                   title={active ? (isPlaying ? "Pause" : "Play") : "Play"}
                                   onClick={() => playByIndex(i)}
                                 >
-                                  <img src={coverUrl(t.videoId, t.thumb)} alt="" className="absolute inset-0 w-full h-full object-cover" />
+                                  {trackCover(t) ? (
+                                    <img src={trackCover(t)} alt="" className="absolute inset-0 w-full h-full object-cover" />
+                                  ) : (
+                                    <span className="absolute inset-0 grid place-items-center bg-gray-100 text-gray-400">♪</span>
+                                  )}
                                   <span className="absolute inset-0 grid place-items-center text-[12px] bg-black/0 hover:bg-black/10 transition">
                                     {active ? (isPlaying ? "⏸" : "▶") : "▶"}
                                   </span>
@@ -744,7 +1340,10 @@ export default function MusicPlayer() {
                                   title={active ? (isPlaying ? "Pause" : "Play") : "Play this track"}
                                 >
                                   <div className={`truncate ${active ? "font-medium" : ""}`}>{t.title}</div>
-                                  <div className="text-[11px] text-gray-500 truncate">{t.channel}</div>
+                                  <div className="text-[11px] text-gray-500 truncate">
+                                    {trackSource(t) === "local" && <span className="mr-1 px-1 rounded border text-[10px]">Local</span>}
+                                    {t.channel || (trackSource(t) === "local" ? "Unknown artist" : "")}
+                                  </div>
                                 </div>
 
                                 <button
@@ -784,6 +1383,13 @@ export default function MusicPlayer() {
                                       >
                                         ↓
                                       </button>
+                                      <button
+                                        onClick={() => enqueue(t)}
+                                        className="px-2 py-1 text-xs border rounded hover:bg-gray-100"
+                                        title="Add to Up Next"
+                                      >
+                                        + Queue
+                                      </button>
                                     </div>
 
                                     {/* Volume (global) */}
@@ -828,13 +1434,13 @@ export default function MusicPlayer() {
                                         onPointerUp={() => {
                                           if (!active || duration <= 0) return;
                                           if (pendingSeekRef.current != null) {
-                                            const p = playerRef.current;
-                                            const dur = duration || p?.getDuration?.() || 0;
+                                            const src = sourceFor(current);
+                                            const dur = duration || src?.duration() || 0;
                                             const target = Math.max(0, Math.min(pendingSeekRef.current, dur));
                                             if (dur - target <= 1.0) {
-                                              p?.seekTo?.(Math.max(0, dur - 0.2), true);
+                                              src?.seek(Math.max(0, dur - 0.2));
                                             } else {
-                                              p?.seekTo?.(target, true);
+                                              src?.seek(target);
                                             }
                                           }
                                           setSeeking(false);
@@ -864,6 +1470,16 @@ export default function MusicPlayer() {
         </AnimatePresence>
       </div>
 
+      {transfer && (
+        <PlaylistTransfer
+          mode={transfer}
+          playlists={playlists}
+          activeName={activeName}
+          onImport={importPlaylists}
+          onClose={() => setTransfer(null)}
+        />
+      )}
+
       {/* Delete confirmation modal (Playlist) */}
       {confirmDel.open && (
         <div className="fixed inset-0 z-50 flex items-center justify-center">
@@ -927,8 +1543,8 @@ export default function MusicPlayer() {
                 onClick={() => {
                   setPlaylists((p) => ({ ...p, [activeName]: [] }));
                   setCurrentIdx(-1);
-                  setIsPlaying(false);
-                  lastLoadedVideoIdRef.current = null;
+                  if (!queued) { sourceFor(current)?.pause(); setIsPlaying(false); }
+                  lastLoadedKeyRef.current = null;
                   setConfirmClear({ open: false });
                 }}
               >
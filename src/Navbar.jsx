@@ -1,6 +1,7 @@
 import { useState } from "react";
+import { Keyboard } from "lucide-react";
 
-export default function Navbar() {
+export default function Navbar({ onShortcuts }) {
   const [showMobileSearch, setShowMobileSearch] = useState(false);
 
   return (
@@ -39,7 +40,16 @@ export default function Navbar() {
         </form>
 
         {/* Profile / Sign In */}
-        <div className="hidden md:flex items-center mr-8">
+        <div className="hidden md:flex items-center gap-3 mr-8">
+          <button
+            type="button"
+            onClick={onShortcuts}
+            aria-label="Keyboard shortcuts"
+            title="Keyboard shortcuts"
+            className="inline-flex items-center justify-center w-9 h-9 rounded-full text-gray-700 hover:bg-gray-100"
+          >
+            <Keyboard size={18} />
+          </button>
           <button
             type="button"
             className="flex items-center gap-2 rounded-full border border-gray-300 bg-white px-4 py-1.5 text-sm font-medium text-gray-700 shadow-sm hover:bg-gray-100 transition-colors"
@@ -0,0 +1,64 @@
+import { Pause, Play, RotateCcw } from "lucide-react";
+
+/**
+ * PipTimer — compact timer view rendered into the floating window
+ * - Pure view: TimerCard portals it in and passes its own state, so both stay in sync
+ * - `variant` comes from the design registry: "ring" or "bar"
+ * - No scrubbing here; editing stays in the main page
+ */
+
+const btnBase = "inline-flex items-center justify-center gap-1.5 rounded-full text-sm font-semibold py-2 px-4";
+const btnCls = `${btnBase} bg-white/20 hover:bg-white/30 border border-white/30 text-agari-ink`;
+
+const PipRing = ({ frac }) => {
+  const r = 54, c = 2 * Math.PI * r;
+  return (
+    <svg width="140" height="140" viewBox="0 0 128 128" className="drop-shadow-md">
+      <circle cx="64" cy="64" r={r} className="fill-none stroke-white/25" strokeWidth="8" />
+      <circle
+        cx="64" cy="64" r={r}
+        className="fill-none"
+        stroke="white" strokeOpacity="0.9" strokeWidth="8" strokeLinecap="round"
+        strokeDasharray={`${c * frac} ${c}`} transform="rotate(-90 64 64)"
+      />
+    </svg>
+  );
+};
+
+const PipBar = ({ frac }) => (
+  <div className="h-3 w-full rounded-full bg-white/20 overflow-hidden">
+    <div className="h-full rounded-full bg-white/80" style={{ width: `${frac * 100}%` }} />
+  </div>
+);
+
+export default function PipTimer({ style, variant, frac, text, label, running, ended, canStart, onToggle, onReset, onStop }) {
+  const bar = variant === "bar";
+  return (
+    <div style={style} className="agari-gradient agari-focus w-screen h-screen flex flex-col items-center justify-center gap-3 p-4 select-none">
+      {label && <div className="text-agari/85 text-xs font-medium drop-shadow">{label}</div>}
+      {bar ? (
+        <>
+          <div role="timer" aria-label={label || "Timer"} className="text-agari font-sans tabular-nums font-semibold text-4xl drop-shadow-lg">{text}</div>
+          <PipBar frac={frac} />
+        </>
+      ) : (
+        <div className="relative">
+          <PipRing frac={frac} />
+          <div role="timer" aria-label={label || "Timer"} className="absolute inset-0 flex items-center justify-center text-agari font-sans tabular-nums font-semibold text-2xl drop-shadow-lg">
+            {text}
+          </div>
+        </div>
+      )}
+      <div className="flex gap-2">
+        {ended ? (
+          <button className={`${btnBase} bg-black text-white hover:bg-black/90`} onClick={onStop}>Stop</button>
+        ) : (
+          <button className={`${btnCls} disabled:opacity-50`} onClick={onToggle} disabled={!running && !canStart}>
+            {running ? <><Pause size={14} /> Pause</> : <><Play size={14} /> Start</>}
+          </button>
+        )}
+        <button className={btnCls} onClick={onReset}><RotateCcw size={14} /> Reset</button>
+      </div>
+    </div>
+  );
+}
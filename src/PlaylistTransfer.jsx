@@ -0,0 +1,210 @@
+import { useRef, useState } from "react";
+import { dedupeTracks, downloadText, freeName, mergeTracks, readPlaylistFile, safeFileName, toJSON, toM3U } from "./playlistIO";
+import { trackKey } from "./playbackSources";
+
+/**
+ * PlaylistTransfer — MusicPlayer's import / export dialog
+ * - mode "export": one playlist or all of them, as JSON or extended M3U
+ * - mode "import": pick a .json / .m3u, preview every playlist in it (with the titles each one adds), then choose per playlist:
+ *   new name → Import / Skip · existing name → Merge (dedupe like addToActive) / Replace / Keep both / Skip
+ * - onImport(plan): plan = [{ name, tracks, action: "new" | "merge" | "replace" }]
+ */
+
+const btnCls = "px-3 py-1.5 text-sm border rounded hover:bg-gray-100 disabled:opacity-50";
+
+export default function PlaylistTransfer({ mode, playlists, activeName, onImport, onClose }) {
+  const names = Object.keys(playlists);
+
+  /* ---------- export ---------- */
+  const [scope, setScope] = useState(activeName); // a playlist name or "" for all
+
+  const download = (format) => {
+    const picked = scope ? { [scope]: playlists[scope] || [] } : playlists;
+    const base = scope ? safeFileName(scope) : "playlists";
+    if (format === "json") downloadText(toJSON(picked), `${base}.json`, "application/json");
+    else downloadText(toM3U(picked), `${base}.m3u`, "audio/x-mpegurl");
+  };
+
+  /* ---------- import ---------- */
+  const fileRef = useRef(null);
+  const [reading, setReading] = useState(false);
+  const [err, setErr] = useState("");
+  const [report, setReport] = useState(null); // { skipped, missing }
+  const [rows, setRows] = useState([]);       // [{ from, tracks, action, rename }]
+
+  const pickFile = async (file) => {
+    if (!file) return;
+    setReading(true); setErr(""); setRows([]); setReport(null);
+    try {
+      const { playlists: incoming, skipped, missing } = await readPlaylistFile(file);
+      const taken = [...names];
+      setRows(Object.entries(incoming).map(([from, tracks]) => {
+        const rename = freeName(from, taken);
+        taken.push(rename);
+        return { from, tracks: dedupeTracks(tracks), action: playlists[from] ? "merge" : "new", rename };
+      }));
+      setReport({ skipped, missing });
+    } catch (e) {
+      console.error(e);
+      setErr(e.message || "Couldn't read that file.");
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const setRow = (i, patch) => setRows((rs) => rs.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+
+  // the name each row ends up under, for clash checks between renames
+  const targetOf = (r) => (r.action === "rename" ? r.rename.trim() : r.from);
+  const badRename = (r, i) => {
+    if (r.action !== "rename") return "";
+    const n = targetOf(r);
+    if (!n) return "Needs a name";
+    if (playlists[n]) return "Already a playlist";
+    if (rows.some((o, j) => j !== i && o.action !== "skip" && targetOf(o) === n)) return "Used twice";
+    return "";
+  };
+  const plan = rows.filter((r) => r.action !== "skip").map((r) => ({
+    name: targetOf(r),
+    tracks: r.tracks,
+    action: r.action === "rename" ? "new" : r.action,
+  }));
+  const canImport = plan.length > 0 && rows.every((r, i) => !badRename(r, i));
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/30 opacity-100 transition-opacity duration-150" onClick={onClose} />
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label={mode === "export" ? "Export playlists" : "Import playlists"}
+        className="relative z-10 w-[min(92vw,520px)] max-h-[85vh] overflow-y-auto rounded-lg bg-white shadow-lg border p-4 transform transition-all duration-200"
+      >
+        {mode === "export" ? (
+          <>
+            <div className="text-sm font-medium mb-3">Export playlists</div>
+            <label className="block text-sm text-gray-600 mb-3">
+              <span className="block text-xs text-gray-500 mb-1">What</span>
+              <select className="w-full border rounded px-2 py-1.5 text-sm" value={scope} onChange={(e) => setScope(e.target.value)}>
+                <option value="">All playlists ({names.length})</option>
+                {names.map((n) => <option key={n} value={n}>{n} ({(playlists[n] || []).length})</option>)}
+              </select>
+            </label>
+            <div className="text-xs text-gray-500">
+              JSON restores everything here, local files included (on this device). M3U opens in other players
+              and lists YouTube links; local files appear by file name.
+            </div>
+            <div className="mt-4 flex items-center justify-end gap-2">
+              <button className={btnCls} onClick={onClose}>Close</button>
+              <button className={btnCls} onClick={() => download("m3u")}>Download M3U</button>
+              <button className={btnCls} onClick={() => download("json")}>Download JSON</button>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="text-sm font-medium mb-3">Import playlists</div>
+            <div className="flex items-center gap-2">
+              <button className={btnCls} onClick={() => fileRef.current?.click()} disabled={reading}>
+                {reading ? "Reading…" : rows.length ? "Choose another file" : "Choose a .json or .m3u file"}
+              </button>
+              <input
+                ref={fileRef}
+                type="file"
+                accept=".json,.m3u,.m3u8,application/json,audio/x-mpegurl"
+                className="hidden"
+                onChange={(e) => { pickFile(e.target.files?.[0]); e.target.value = ""; }}
+              />
+            </div>
+            {err && <div className="mt-2 text-xs text-red-600">{err}</div>}
+
+            {rows.length > 0 && (
+              <ul className="mt-3 space-y-2">
+                {rows.map((r, i) => {
+                  const existing = playlists[r.from];
+                  const freshTracks = existing ? mergeTracks(existing, r.tracks).slice(existing.length) : r.tracks;
+                  const fresh = freshTracks.length;
+                  // what this row's action actually adds: only the new tracks when merging
+                  const adding = r.action === "skip" ? [] : r.action === "merge" ? freshTracks : r.tracks;
+                  const problem = badRename(r, i);
+                  return (
+                    <li key={r.from} className="border rounded px-3 py-2">
+                      <div className="flex items-center gap-2">
+                        <div className="min-w-0 flex-1">
+                          <div className="truncate text-sm font-medium">{r.from}</div>
+                          <div className="text-[11px] text-gray-500">
+                            {r.tracks.length} track{r.tracks.length === 1 ? "" : "s"}
+                            {existing && ` · name taken · ${fresh} new, ${r.tracks.length - fresh} already there`}
+                          </div>
+                        </div>
+                        <select
+                          className="border rounded px-2 py-1 text-xs"
+                          value={r.action}
+                          onChange={(e) => setRow(i, { action: e.target.value })}
+                          aria-label={`What to do with ${r.from}`}
+                        >
+                          {existing ? (
+                            <>
+                              <option value="merge">Merge</option>
+                              <option value="replace">Replace</option>
+                              <option value="rename">Keep both</option>
+                            </>
+                          ) : (
+                            <option value="new">Import</option>
+                          )}
+                          <option value="skip">Skip</option>
+                        </select>
+                      </div>
+                      {r.action === "rename" && (
+                        <div className="mt-2 flex items-center gap-2">
+                          <input
+                            className="flex-1 text-xs border rounded px-2 py-1"
+                            value={r.rename}
+                            onChange={(e) => setRow(i, { rename: e.target.value })}
+                            onKeyDown={(e) => e.stopPropagation()}
+                            aria-label="New playlist name"
+                          />
+                          {problem && <span className="text-[11px] text-red-600">{problem}</span>}
+                        </div>
+                      )}
+                      {r.action === "replace" && (
+                        <div className="mt-1 text-[11px] text-red-600">The current “{r.from}” will be overwritten.</div>
+                      )}
+                      {adding.length > 0 && (
+                        <details className="mt-1">
+                          <summary className="cursor-pointer text-[11px] text-gray-500">
+                            {adding.length} track{adding.length === 1 ? "" : "s"} to add
+                          </summary>
+                          <ol className="mt-1 max-h-32 overflow-y-auto list-decimal pl-5 text-[11px] text-gray-600">
+                            {adding.map((t) => (
+                              <li key={trackKey(t)} className="truncate">
+                                {t.title}{t.channel && <span className="text-gray-400"> · {t.channel}</span>}
+                              </li>
+                            ))}
+                          </ol>
+                        </details>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+
+            {report && (report.skipped > 0 || report.missing > 0) && (
+              <div className="mt-2 text-[11px] text-gray-500">
+                {report.skipped > 0 && `${report.skipped} entr${report.skipped === 1 ? "y" : "ies"} weren't YouTube videos or playable tracks and were left out. `}
+                {report.missing > 0 && `${report.missing} local file${report.missing === 1 ? " isn't" : "s aren't"} stored in this browser and ${report.missing === 1 ? "was" : "were"} left out.`}
+              </div>
+            )}
+
+            <div className="mt-4 flex items-center justify-end gap-2">
+              <button className={btnCls} onClick={onClose}>Cancel</button>
+              <button className={btnCls} disabled={!canImport} onClick={() => { onImport(plan); onClose(); }}>
+                Import
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import { useState } from "react";
+import { Plus, Trash2 } from "lucide-react";
+
+/**
+ * SequenceEditor — edits one named timer program
+ * - A program is a list of blocks; each block repeats its steps `repeat` times
+ *   e.g. [warm-up] → 3×[study, stretch] → [review]
+ * - Steps carry a label + duration in seconds
+ * - Works on a local draft; nothing is saved until "Save"
+ */
+
+const uid = () => Math.random().toString(36).slice(2, 9);
+const newStep = (label = "Step", sec = 5 * 60) => ({ id: uid(), label, sec });
+const newBlock = () => ({ id: uid(), repeat: 1, steps: [newStep()] });
+
+const inputCls = "px-2 py-1 rounded-lg border border-agari-ink/20 bg-white/40 text-sm text-agari-ink";
+const btnCls = "px-2 py-1 text-xs rounded-lg border border-agari-ink/20 bg-white/30 hover:bg-white/40";
+
+export default function SequenceEditor({ value, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => value || { id: uid(), name: "", blocks: [newBlock()] });
+
+  /* ---------- draft updates ---------- */
+  const setBlocks = (fn) => setDraft(d => ({ ...d, blocks: fn(d.blocks) }));
+  const patchBlock = (bid, patch) => setBlocks(bs => bs.map(b => (b.id === bid ? { ...b, ...patch } : b)));
+  const patchStep = (bid, sid, patch) =>
+    setBlocks(bs => bs.map(b => (b.id === bid ? { ...b, steps: b.steps.map(s => (s.id === sid ? { ...s, ...patch } : s)) } : b)));
+  const addStep = (bid) => setBlocks(bs => bs.map(b => (b.id === bid ? { ...b, steps: [...b.steps, newStep()] } : b)));
+  const removeStep = (bid, sid) =>
+    setBlocks(bs => bs
+      .map(b => (b.id === bid ? { ...b, steps: b.steps.filter(s => s.id !== sid) } : b))
+      .filter(b => b.steps.length > 0));
+  const removeBlock = (bid) => setBlocks(bs => bs.filter(b => b.id !== bid));
+
+  const setMinSec = (bid, step, part, raw) => {
+    const n = Math.max(0, Math.round(Number(raw) || 0));
+    const min = part === "min" ? n : Math.floor(step.sec / 60);
+    const sec = part === "sec" ? Math.min(59, n) : step.sec % 60;
+    patchStep(bid, step.id, { sec: min * 60 + sec });
+  };
+
+  const canSave = draft.blocks.some(b => b.steps.some(s => s.sec > 0));
+  const save = () => {
+    if (!canSave) return;
+    onSave({ ...draft, name: draft.name.trim() || "Untitled sequence" });
+  };
+
+  /* ---------- render ---------- */
+  return (
+    <div className="space-y-3">
+      <input
+        autoFocus
+        className={`${inputCls} w-full`}
+        placeholder="Sequence name"
+        value={draft.name}
+        onChange={e => setDraft(d => ({ ...d, name: e.target.value }))}
+      />
+
+      {draft.blocks.map((b, bi) => (
+        <div key={b.id} className="rounded-lg border border-agari-ink/20 bg-white/20 p-2 space-y-2">
+          <div className="flex items-center gap-2 text-xs text-agari-ink/70">
+            <span>Block {bi + 1}</span>
+            <label className="ml-auto inline-flex items-center gap-1">
+              repeat ×
+              <input
+                type="number" min={1} max={99}
+                className={`${inputCls} w-14`}
+                value={b.repeat}
+                onChange={e => patchBlock(b.id, { repeat: Math.max(1, Math.round(Number(e.target.value) || 1)) })}
+              />
+            </label>
+            <button className={btnCls} title="Remove block" onClick={() => removeBlock(b.id)}><Trash2 size={14} /></button>
+          </div>
+
+          {b.steps.map(st => (
+            <div key={st.id} className="flex items-center gap-1.5">
+              <input
+                className={`${inputCls} flex-1 min-w-0`}
+                placeholder="Label"
+                value={st.label}
+                onChange={e => patchStep(b.id, st.id, { label: e.target.value })}
+              />
+              <input
+                type="number" min={0}
+                className={`${inputCls} w-14`}
+                title="Minutes"
+                value={Math.floor(st.sec / 60)}
+                onChange={e => setMinSec(b.id, st, "min", e.target.value)}
+              />
+              <span className="text-xs">:</span>
+              <input
+                type="number" min={0} max={59}
+                className={`${inputCls} w-14`}
+                title="Seconds"
+                value={st.sec % 60}
+                onChange={e => setMinSec(b.id, st, "sec", e.target.value)}
+              />
+              <button className={btnCls} title="Remove step" onClick={() => removeStep(b.id, st.id)}>✕</button>
+            </div>
+          ))}
+
+          <button className={btnCls} onClick={() => addStep(b.id)}>+ Step</button>
+        </div>
+      ))}
+
+      <div className="flex items-center gap-2">
+        <button className={`${btnCls} inline-flex items-center gap-1`} onClick={() => setBlocks(bs => [...bs, newBlock()])}>
+          <Plus size={14} /> Block
+        </button>
+        <div className="ml-auto flex items-center gap-2">
+          <button className={btnCls} onClick={onCancel}>Cancel</button>
+          <button className={`${btnCls} font-semibold disabled:opacity-50`} disabled={!canSave} onClick={save}>Save</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import { useEffect, useState } from "react";
+import { RotateCcw, X } from "lucide-react";
+import {
+  SCOPES, SHORTCUTS, comboOf, findConflicts, fmtCombo, isCustomized, matchShortcut, resetBindings, setBinding, useShortcutBindings,
+} from "./shortcuts";
+
+/**
+ * ShortcutsOverlay — the "?" cheat sheet and the screen for rebinding keys
+ * - view: null (closed) | "sheet" (read-only list) | "edit" (rebind, reset, clash warnings)
+ * - While open it swallows key presses so the panels underneath don't react
+ * - Recording: the next key combo replaces that shortcut's keys; Esc cancels
+ */
+
+const byId = Object.fromEntries(SHORTCUTS.map(s => [s.id, s]));
+const kbdCls = "px-1.5 py-0.5 rounded border border-black/20 bg-black/5 text-xs font-mono whitespace-nowrap";
+const btnCls = "px-2 py-1 text-xs rounded-lg border border-black/20 hover:bg-black/5";
+
+export default function ShortcutsOverlay({ view, onView }) {
+  const bindings = useShortcutBindings();
+  const [recording, setRecording] = useState(null); // shortcut id waiting for a key
+  const conflicts = findConflicts(bindings);
+  const editing = view === "edit";
+
+  /* ---------- keys: "?" opens; while open, nothing reaches the dashboard ---------- */
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!view) {
+        const el = document.activeElement;
+        if (el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.isContentEditable)) return;
+        if (matchShortcut(e, "app.help")) { e.preventDefault(); e.stopPropagation(); onView("sheet"); }
+        return;
+      }
+      if (e.key === "Tab" && !recording) return; // focus still moves through the dialog
+      e.stopPropagation(); // capture phase on window: the panels' own listeners never see it
+      if (recording) {
+        e.preventDefault();
+        if (e.key === "Escape") { setRecording(null); return; }
+        const combo = comboOf(e);
+        if (!combo) return; // modifier on its own; wait for the rest
+        setBinding(recording, [combo]);
+        setRecording(null);
+        return;
+      }
+      if (e.key === "Escape" || (view === "sheet" && matchShortcut(e, "app.help"))) { e.preventDefault(); onView(null); }
+    };
+    window.addEventListener("keydown", onKey, true);
+    return () => window.removeEventListener("keydown", onKey, true);
+  }, [view, recording, onView]);
+
+  if (!view) return null;
+
+  const close = () => { setRecording(null); onView(null); };
+  const keysOf = (s) => (s.fixed && s.display ? [s.display] : bindings[s.id].map(fmtCombo));
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-start justify-center pt-16 bg-black/40" onClick={close}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Keyboard shortcuts"
+        className="w-[min(92vw,640px)] max-h-[85vh] overflow-y-auto rounded-2xl bg-white shadow-xl text-black p-5 space-y-5"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between gap-3">
+          <h3 className="font-semibold">Keyboard shortcuts</h3>
+          <div className="flex items-center gap-2">
+            {editing && (
+              <button className={btnCls} onClick={() => { setRecording(null); resetBindings(); }}>Reset all</button>
+            )}
+            <button className={btnCls} onClick={() => { setRecording(null); onView(editing ? "sheet" : "edit"); }}>
+              {editing ? "Done" : "Customize"}
+            </button>
+            <button autoFocus className="p-2 rounded hover:bg-black/5" onClick={close} aria-label="Close"><X /></button>
+          </div>
+        </div>
+
+        {Object.keys(conflicts).length > 0 && (
+          <div className="text-sm text-red-600">Some keys are bound to two things at once — the clashing rows are marked in red.</div>
+        )}
+
+        {Object.entries(SCOPES).map(([scope, title]) => (
+          <section key={scope}>
+            <div className="text-sm mb-2 text-black/60">{title}</div>
+            <ul className="divide-y divide-black/10">
+              {SHORTCUTS.filter(s => s.scope === scope).map(s => {
+                const clash = conflicts[s.id];
+                return (
+                  <li key={s.id} className="flex items-center justify-between gap-3 py-1.5">
+                    <div className="min-w-0">
+                      <div className={`text-sm ${clash ? "text-red-600 font-medium" : ""}`}>{s.label}</div>
+                      {clash && (
+                        <div className="text-[11px] text-red-600/80">
+                          Also: {clash.map(id => `${SCOPES[byId[id].scope]} · ${byId[id].label}`).join(", ")}
+                        </div>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-1.5 shrink-0">
+                      {recording === s.id ? (
+                        <span className="text-xs text-black/60 italic">Press keys… (Esc cancels)</span>
+                      ) : keysOf(s).length ? (
+                        keysOf(s).map(k => <kbd key={k} className={kbdCls}>{k}</kbd>)
+                      ) : (
+                        <span className="text-xs text-black/40">Unbound</span>
+                      )}
+                      {editing && (s.fixed ? (
+                        <span className="text-[11px] text-black/40 w-24 text-right">built in</span>
+                      ) : (
+                        <>
+                          <button className={btnCls} onClick={() => setRecording(recording === s.id ? null : s.id)}>Change</button>
+                          <button className={btnCls} onClick={() => setBinding(s.id, [])}>Clear</button>
+                          <button
+                            className="p-1 rounded hover:bg-black/5 disabled:opacity-30"
+                            disabled={!isCustomized(s.id)}
+                            onClick={() => resetBindings(s.id)}
+                            title="Back to default"
+                            aria-label={`Reset ${s.label} to default`}
+                          >
+                            <RotateCcw size={14} />
+                          </button>
+                        </>
+                      ))}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+import { useState } from "react";
+import { Plus, X } from "lucide-react";
+import { BUILTIN_THEMES, MAX_SPEED_SEC, MAX_STOPS, MIN_STOPS, parseTheme, themeJSON, themeSwatch } from "./themes";
+
+/**
+ * ThemeEditor — picks and edits the timer background theme (lives in TimerCard's drawer)
+ * - Built-in and saved themes as swatches; every edit applies right away, so the timer is the preview
+ * - Editing a theme turns it into an unsaved "draft" until "Save as theme"
+ * - Share: copy the theme as JSON, or import one pasted from someone else
+ */
+
+const btnCls = "px-3 py-1.5 text-sm rounded-lg border border-agari-ink/20 bg-white/30 hover:bg-white/40";
+const colorCls = "w-9 h-9 rounded-lg border border-agari-ink/20 bg-transparent cursor-pointer";
+const COLOR_FIELDS = [["base", "Background"], ["text", "Text"], ["ink", "Buttons"], ["accent", "Accent"]];
+
+export default function ThemeEditor({ theme, onChange, saved, onSave, onDelete }) {
+  const [copied, setCopied] = useState(false);
+
+  const edit = (patch) => onChange({
+    ...theme, ...patch,
+    id: "draft",
+    name: theme.id === "draft" ? theme.name : `${theme.name} (edited)`,
+  });
+  const setStop = (i, c) => edit({ stops: theme.stops.map((s, j) => (j === i ? c : s)) });
+
+  const save = () => {
+    const name = prompt("Theme name", theme.name.replace(/ \(edited\)$/, ""))?.trim();
+    if (!name) return;
+    const t = { ...theme, id: `custom-${Math.random().toString(36).slice(2, 9)}`, name };
+    onSave(t); onChange(t);
+  };
+
+  const copy = () => {
+    const json = themeJSON(theme);
+    const done = () => { setCopied(true); setTimeout(() => setCopied(false), 1500); };
+    if (navigator.clipboard?.writeText) navigator.clipboard.writeText(json).then(done, () => prompt("Copy the theme JSON", json));
+    else prompt("Copy the theme JSON", json);
+  };
+
+  const importTheme = () => {
+    const raw = prompt("Paste a theme's JSON");
+    if (!raw) return;
+    const t = parseTheme(raw);
+    if (!t) { alert("That doesn't look like a theme (it needs at least two #rrggbb stops)."); return; }
+    onSave(t); onChange(t);
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* swatches */}
+      <div className="grid grid-cols-2 gap-2">
+        {[...BUILTIN_THEMES, ...saved].map(t => (
+          <div key={t.id} className="relative">
+            <button
+              onClick={() => onChange(t)}
+              className={`w-full text-left p-2 rounded-lg border ${
+                theme.id === t.id ? "bg-agari-ink/5 border-agari-ink/40" : "bg-white/30 hover:bg-white/40 border-agari-ink/20"
+              }`}
+            >
+              <div className="h-5 rounded" style={{ background: themeSwatch(t), boxShadow: `inset 0 0 0 2px ${t.base}` }} />
+              <div className="mt-1 text-xs truncate pr-4">{t.name}</div>
+            </button>
+            {!BUILTIN_THEMES.includes(t) && (
+              <button
+                className="absolute bottom-1.5 right-1.5 p-0.5 rounded hover:bg-agari-ink/5"
+                onClick={() => onDelete(t.id)}
+                aria-label={`Delete theme ${t.name}`}
+              >
+                <X size={12} />
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {/* gradient stops */}
+      <div>
+        <div className="text-sm mb-2 text-agari-ink/70">Gradient colors</div>
+        <div className="flex flex-wrap items-center gap-2">
+          {theme.stops.map((c, i) => (
+            <div key={i} className="relative">
+              <input type="color" value={c} onChange={e => setStop(i, e.target.value)} className={colorCls} aria-label={`Gradient color ${i + 1}`} />
+              {theme.stops.length > MIN_STOPS && (
+                <button
+                  className="absolute -top-1.5 -right-1.5 p-0.5 rounded-full bg-white/80 text-black"
+                  onClick={() => edit({ stops: theme.stops.filter((_, j) => j !== i) })}
+                  aria-label={`Remove gradient color ${i + 1}`}
+                >
+                  <X size={10} />
+                </button>
+              )}
+            </div>
+          ))}
+          {theme.stops.length < MAX_STOPS && (
+            <button
+              className="w-9 h-9 inline-flex items-center justify-center rounded-lg border border-dashed border-agari-ink/30 hover:bg-agari-ink/5"
+              onClick={() => edit({ stops: [...theme.stops, theme.stops[theme.stops.length - 1]] })}
+              aria-label="Add a gradient color"
+            >
+              <Plus size={14} />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* speed: slider right = faster, so it maps inversely onto the cycle length; far left = still */}
+      <label className="block">
+        <div className="text-sm mb-1 text-agari-ink/70">
+          Animation speed · {theme.speedSec ? `${theme.speedSec}s per drift` : "still"}
+        </div>
+        <input
+          type="range" min={0} max={MAX_SPEED_SEC} step={10}
+          value={theme.speedSec ? MAX_SPEED_SEC + 10 - theme.speedSec : 0}
+          onChange={e => { const v = Number(e.target.value); edit({ speedSec: v ? MAX_SPEED_SEC + 10 - v : 0 }); }}
+          className="w-full"
+        />
+        <div className="flex justify-between text-[11px] text-agari-ink/50"><span>Still</span><span>Fast</span></div>
+      </label>
+
+      {/* other colors */}
+      <div className="grid grid-cols-4 gap-2">
+        {COLOR_FIELDS.map(([key, label]) => (
+          <label key={key} className="flex flex-col items-center gap-1 text-[11px] text-agari-ink/70">
+            <input type="color" value={theme[key]} onChange={e => edit({ [key]: e.target.value })} className={colorCls} />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button className={btnCls} onClick={save}>Save as theme</button>
+        <button className={btnCls} onClick={copy}>{copied ? "Copied" : "Copy JSON"}</button>
+        <button className={btnCls} onClick={importTheme}>Import JSON</button>
+      </div>
+    </div>
+  );
+}
@@ -1,10 +1,29 @@
 import { useEffect, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
 import { AnimatePresence, motion } from "framer-motion";
-import { Play, Pause, RotateCcw, Volume2, VolumeX, X, Palette } from "lucide-react";
+import { Play, Pause, RotateCcw, Volume2, VolumeX, X, Palette, Timer, Hourglass, Flag, BarChart3, AlarmClock, PictureInPicture2, Maximize2, Minimize2, Music, ChevronUp, ChevronDown } from "lucide-react";
+import SequenceEditor from "./SequenceEditor";
+import ThemeEditor from "./ThemeEditor";
+import TimerStats from "./TimerStats";
+import PipTimer from "./PipTimer";
+import TimerRows from "./TimerRows";
+import { endTimer, newTimer, pauseTimer, resetTimer, startTimer, timerLeft } from "./sideTimers";
+import { designOptions, getDesign, listDesigns } from "./designRegistry";
+import { DEFAULT_THEME, cleanTheme, themeVars } from "./themes";
+import { createScheduler, systemClock } from "./timerEngine";
+import { CUSTOM_PREFIX, DEFAULT_ALARM, SYNTH_SOUNDS, addCustomSound, decodeSound, listCustomSounds, playAlarm, removeCustomSound } from "./alarmSounds";
+import { fmtCountdown, fmtSpoken, parseDuration, parseTimerCommand } from "./timeParse";
+import { claimAlarm, openTimerChannel, subscribeStorage } from "./timerSync";
+import { setTabStatus } from "./tabStatus";
+import { openPipWindow, pipSupported } from "./pipWindow";
+import { matchShortcut, shortcutLabel, useShortcutBindings } from "./shortcuts";
+import { enableNotifications, notifyOptedIn, notifyPermission, onNotificationAction, showNotification } from "./notify";
 
 /* ---------- LocalStorage keys ---------- */
 const LS = {
   design: "timer.style.preset",
+  designOpts: "timer.design.options",
+  // pre-registry option keys, read once to seed designOpts
   waveMood: "timer.wave.mood",
   sandSimplified: "timer.sandglass.simplified",
   barCentered: "timer.bar.centeredLabel",
@@ -12,159 +31,853 @@ const LS = {
   targetMs: "timer.targetMs",
   running: "timer.running",
   endTs: "timer.endTs",
+  cycleOn: "timer.cycle.enabled",
+  cycleCfg: "timer.cycle.config",
+  cycleProg: "timer.cycle.progress",
+  mode: "timer.mode",
+  stopwatch: "timer.stopwatch",
+  swSandMin: "timer.stopwatch.sandMinutes",
+  sequences: "timer.sequences",
+  seqRun: "timer.sequence.run",
+  session: "timer.session.current",
+  history: "timer.history",
+  alarm: "timer.alarm.settings",
+  presets: "timer.presets",
+  side: "timer.side",
+  theme: "timer.theme",     // the active theme object (may be an unsaved draft)
+  themes: "timer.themes",   // saved custom themes
 };
 
 /* ---------- helpers ---------- */
 const pad2 = (n) => (n < 10 ? `0${n}` : `${n}`);
 const clamp = (n, lo, hi) => Math.min(Math.max(n, lo), hi);
-const LIMIT_SEC = 23 * 3600 + 59 * 60 + 59; // 23:59:59
+const DAY_SEC = 24 * 3600;
+const LIMIT_SEC = 999 * DAY_SEC + 23 * 3600 + 59 * 60 + 59; // 999:23:59:59
 
+// edit buffer: "DDDHHMMSS"; the TimeBox hides day digits that are leading zeros
+const BUF_LEN = 9;
+const EMPTY_BUF = "0".repeat(BUF_LEN);
 const bufToSec = (b) => {
-  const h = parseInt(b.slice(0, 2), 10) || 0;
-  const m = parseInt(b.slice(2, 4), 10) || 0;
-  const s = parseInt(b.slice(4, 6), 10) || 0;
-  return clamp(h * 3600 + m * 60 + s, 0, LIMIT_SEC);
+  const d = parseInt(b.slice(0, 3), 10) || 0;
+  const h = parseInt(b.slice(3, 5), 10) || 0;
+  const m = parseInt(b.slice(5, 7), 10) || 0;
+  const s = parseInt(b.slice(7, 9), 10) || 0;
+  return clamp(d * DAY_SEC + h * 3600 + m * 60 + s, 0, LIMIT_SEC);
 };
 const secToBuf = (sec) => {
-  const t = clamp(sec | 0, 0, LIMIT_SEC);
-  const h = Math.floor(t / 3600);
+  const t = clamp(Math.floor(sec), 0, LIMIT_SEC);
+  const d = Math.floor(t / DAY_SEC);
+  const h = Math.floor((t % DAY_SEC) / 3600);
   const m = Math.floor((t % 3600) / 60);
   const s = t % 60;
-  return `${pad2(h)}${pad2(m)}${pad2(s)}`;
+  return `${String(d).padStart(3, "0")}${pad2(h)}${pad2(m)}${pad2(s)}`;
 };
+// "DDDHHMMSS" → "HH:MM:SS", or "D:HH:MM:SS" once there are days
+const bufToText = (b) => {
+  const days = Number(b.slice(0, 3));
+  const hms = `${b.slice(3, 5)}:${b.slice(5, 7)}:${b.slice(7, 9)}`;
+  return days ? `${days}:${hms}` : hms;
+};
+
+// scrub scale: the old 24 h range, widening to a week / month / year once the value is already past it
+// or when the scale toggle under the time asks for a longer one
+const SCRUB_SPANS_SEC = [DAY_SEC - 1, 7 * DAY_SEC, 30 * DAY_SEC, 365 * DAY_SEC];
+const SCRUB_SPAN_LABELS = ["24 h", "1 week", "30 days", "1 year"];
+const scrubSpanFor = (sec) => SCRUB_SPANS_SEC.find(span => sec <= span) ?? SCRUB_SPANS_SEC[SCRUB_SPANS_SEC.length - 1];
+// 5 s steps (1 s with Shift) on the day scale, 15 min (1 min) on the longer ones
+const scrubSnapSec = (span, coarse) => (span < DAY_SEC ? (coarse ? 5 : 1) : (coarse ? 900 : 60));
 const msToBuf = (ms) => secToBuf(Math.floor(ms / 1000));
 const bufToMs = (b) => bufToSec(b) * 1000;
+const readJSON = (key, fallback) => {
+  try { return JSON.parse(localStorage.getItem(key)) ?? fallback; }
+  catch { return fallback; }
+};
+
+/* ---------- stopwatch ---------- */
+const HOUR_MS = 3600 * 1000;
+const SW_IDLE = { running: false, startTs: 0, elapsedMs: 0, laps: [] };
+
+// count-up fill: flipping designs (sandglass) drain every `sandMin` minutes, everything else fills once per hour
+const stopwatchFrac = (ms, design, sandMin) => {
+  if (getDesign(design).stopwatchFlip) {
+    const period = sandMin * 60 * 1000;
+    return 1 - (ms % period) / period;
+  }
+  return (ms % HOUR_MS) / HOUR_MS;
+};
+// lap label: [H:]MM:SS.cc
+const fmtLap = (ms) => {
+  const cs = Math.floor((ms % 1000) / 10);
+  const t = Math.floor(ms / 1000);
+  const h = Math.floor(t / 3600), m = Math.floor((t % 3600) / 60), sec = t % 60;
+  return `${h ? `${h}:` : ""}${pad2(m)}:${pad2(sec)}.${pad2(cs)}`;
+};
+
+/* ---------- interval sequences ---------- */
+// { id, name, blocks: [{ id, repeat, steps: [{ id, label, sec }] }] }
+const DEFAULT_SEQUENCES = [{
+  id: "study-set",
+  name: "Study set",
+  blocks: [
+    { id: "b1", repeat: 1, steps: [{ id: "s1", label: "Warm-up", sec: 5 * 60 }] },
+    { id: "b2", repeat: 3, steps: [{ id: "s2", label: "Study", sec: 20 * 60 }, { id: "s3", label: "Stretch", sec: 2 * 60 }] },
+    { id: "b3", repeat: 1, steps: [{ id: "s4", label: "Review", sec: 10 * 60 }] },
+  ],
+}];
+// pentatonic-ish notes so each step in a program gets its own chime
+const CHIME_HZ = [523.25, 587.33, 659.25, 783.99, 880, 1046.5, 1174.66, 1318.51];
+
+// expand repeated blocks into the flat list of steps actually run
+const flattenSequence = (seq) =>
+  (seq?.blocks || []).flatMap(b =>
+    Array.from({ length: Math.max(1, b.repeat | 0) }, () => b.steps).flat()
+  ).filter(st => st.sec > 0);
+const sequenceTotalSec = (seq) => flattenSequence(seq).reduce((sum, st) => sum + st.sec, 0);
+const fmtMinSec = (sec) => `${Math.floor(sec / 60)}:${pad2(sec % 60)}`;
 
-export default function TimerCard() {
+/* ---------- session log ---------- */
+const HISTORY_MAX = 2000;
+const MIN_LOG_MS = 1000; // ignore accidental start/reset taps
+
+/* ---------- notifications ---------- */
+const NOTIFY_TAG = "agari-timer";
+const TAB_ID = Math.random().toString(36).slice(2, 10); // notification actions go back to the tab that rang
+const SNOOZE_MS = 5 * 60 * 1000;
+const EXTEND_OPTIONS = [{ label: "+1 min", ms: 60 * 1000 }, { label: "+5 min", ms: 5 * 60 * 1000 }];
+
+// "Snooze (S)" with whatever the shortcut is currently bound to
+const withKey = (text, id) => (shortcutLabel(id) ? `${text} (${shortcutLabel(id)})` : text);
+
+/* ---------- focus mode ---------- */
+const CURSOR_IDLE_MS = 2500; // pointer hides after this long without movement
+
+/* ---------- screen readers ---------- */
+// slider keys: arrows ±1 min (Shift ±5 s), Page Up/Down ±10 min, Home clears
+const SLIDER_STEP_SEC = 60;
+const SLIDER_FINE_SEC = 5;
+const SLIDER_PAGE_SEC = 600;
+// what the polite live region reads out while counting down: sparse when far off, denser near the end
+const announceAt = (sec) => {
+  if (sec > DAY_SEC) return Math.ceil(sec / 3600) * 3600;
+  if (sec > 3600) return Math.ceil(sec / 900) * 900;
+  if (sec > 600) return Math.ceil(sec / 300) * 300;
+  if (sec > 60) return Math.ceil(sec / 60) * 60;
+  return sec > 30 ? 60 : sec > 10 ? 30 : 10;
+};
+
+/* ---------- pomodoro cycle ---------- */
+const PHASES = {
+  work:  { label: "Focus",       cfgKey: "workMin" },
+  short: { label: "Short Break", cfgKey: "shortMin" },
+  long:  { label: "Long Break",  cfgKey: "longMin" },
+};
+const DEFAULT_CYCLE = { workMin: 25, shortMin: 5, longMin: 15, rounds: 4 };
+const FIRST_PHASE = { phase: "work", round: 1 };
+
+const phaseMs = (phase, cfg) => clamp(cfg[PHASES[phase].cfgKey] * 60, 1, LIMIT_SEC) * 1000;
+// work → short break … work → long break after `rounds` focus blocks, then round 1 again
+const nextPhase = ({ phase, round }, cfg) => {
+  if (phase === "work") return { phase: round >= cfg.rounds ? "long" : "short", round };
+  if (phase === "long") return FIRST_PHASE;
+  return { phase: "work", round: round + 1 };
+};
+
+// `clock` is injectable so the timing engine can run on fake time
+export default function TimerCard({ clock = systemClock, plannerBlock = null, nowPlaying = null }) {
   /* ---------- prefs ---------- */
   const [design, setDesign] = useState(localStorage.getItem(LS.design) || "wave");
-  const [waveMood, setWaveMood] = useState(localStorage.getItem(LS.waveMood) || "calm");
-  const [sandSimplified, setSandSimplified] = useState(localStorage.getItem(LS.sandSimplified) !== "false");
-  const [barCentered, setBarCentered] = useState(localStorage.getItem(LS.barCentered) !== "false");
+  // { [designId]: { [optionKey]: value } }
+  const [designOpts, setDesignOpts] = useState(() => readJSON(LS.designOpts, null) ?? {
+    wave: { mood: localStorage.getItem(LS.waveMood) || "calm" },
+    sandglass: { simplified: localStorage.getItem(LS.sandSimplified) !== "false" },
+    bar: { centered: localStorage.getItem(LS.barCentered) !== "false" },
+  });
+  const designDef = getDesign(design);
+  const setDesignOpt = (key, value) => setDesignOpts(o => ({ ...o, [designDef.id]: { ...o[designDef.id], [key]: value } }));
   const [muted, setMuted] = useState(localStorage.getItem(LS.muted) === "true");
+  const [alarmCfg, setAlarmCfg] = useState(() => ({ ...DEFAULT_ALARM, ...readJSON(LS.alarm, {}) }));
+  const [customSounds, setCustomSounds] = useState([]); // [{ id, name }] from IndexedDB
+
+  /* ---------- cycle mode ---------- */
+  const [cycleOn, setCycleOn] = useState(localStorage.getItem(LS.cycleOn) === "true");
+  const [cycleCfg, setCycleCfg] = useState(() => ({ ...DEFAULT_CYCLE, ...readJSON(LS.cycleCfg, {}) }));
+  const [cycleProg, setCycleProg] = useState(() => {
+    const p = readJSON(LS.cycleProg, null);
+    return p && PHASES[p.phase] ? p : FIRST_PHASE;
+  });
+
+  /* ---------- stopwatch state ---------- */
+  const [mode, setMode] = useState(localStorage.getItem(LS.mode) || "timer"); // "timer" | "stopwatch"
+  const [sw, setSw] = useState(() => ({ ...SW_IDLE, ...readJSON(LS.stopwatch, {}) }));
+  const [swSandMin, setSwSandMin] = useState(() => Number(localStorage.getItem(LS.swSandMin)) || 5);
+  const isStopwatch = mode === "stopwatch";
+
+  /* ---------- sequences ---------- */
+  const [sequences, setSequences] = useState(() => readJSON(LS.sequences, DEFAULT_SEQUENCES));
+  const [seqRun, setSeqRun] = useState(() => readJSON(LS.seqRun, null)); // { id, step } | null
+  const [seqEditing, setSeqEditing] = useState(null); // sequence draft | "new" | null
+  const runSeq = sequences.find(q => q.id === seqRun?.id) || null;
+  const runSteps = useMemo(() => flattenSequence(runSeq), [runSeq]);
+  const runStep = runSeq ? runSteps[seqRun.step] : null;
+
+  /* ---------- presets ---------- */
+  // [{ id, name, ms, design, designOpts, sound }] — first nine launch with Alt+1..9
+  const [presets, setPresets] = useState(() => readJSON(LS.presets, []));
+  // stored themes are checked like imported ones: a bad color would break themeVars on every load
+  const [theme, setTheme] = useState(() => cleanTheme(readJSON(LS.theme, null)) || DEFAULT_THEME);
+  const [savedThemes, setSavedThemes] = useState(() => {
+    const list = readJSON(LS.themes, []);
+    return Array.isArray(list) ? list.map(cleanTheme).filter(Boolean) : [];
+  });
+  const themeStyle = useMemo(() => themeVars(theme), [theme]);
+  useShortcutBindings(); // re-render key hints after a rebind
+
+  /* ---------- side timers (run alongside the primary countdown) ---------- */
+  const [sideTimers, setSideTimers] = useState(() => readJSON(LS.side, []));
+  const sideSoundsRef = useRef({}); // id → { sound, stopTimer } in the tab that rang
+
+  /* ---------- session history ---------- */
+  // current countdown: { startTs, plannedMs, label, kind, focusedMs, pauses, segStart } (segStart 0 = paused)
+  const [session, setSession] = useState(() => readJSON(LS.session, null));
+  const [history, setHistory] = useState(() => readJSON(LS.history, []));
+  const [statsOpen, setStatsOpen] = useState(false);
+
+  /* ---------- notifications ---------- */
+  const [notifyOn, setNotifyOn] = useState(notifyOptedIn);
+  const [notifyPerm, setNotifyPerm] = useState(notifyPermission);
 
   /* ---------- timer state ---------- */
   const [editing, setEditing] = useState(true);
   const [buf, setBuf] = useState(() => {
     const saved = Number(localStorage.getItem(LS.targetMs) || 0);
-    return saved > 0 ? msToBuf(saved) : "000000";
+    return saved > 0 ? msToBuf(saved) : EMPTY_BUF;
   });
 
   const [targetMs, setTargetMs] = useState(() => Number(localStorage.getItem(LS.targetMs) || 0));
   const [running, setRunning] = useState(localStorage.getItem(LS.running) === "true");
+  // an absolute epoch deadline: reloads and DST changes during a multi-day run don't shift it
   const [endTs, setEndTs] = useState(() => Number(localStorage.getItem(LS.endTs) || 0));
-  const [now, setNow] = useState(Date.now());
+  const [now, setNow] = useState(clock.now());
   const [lastStartMs, setLastStartMs] = useState(targetMs || 0);
 
-  /* ---------- end-alarm (5s) ---------- */
+  /* ---------- end-alarm (length/repeat from alarmCfg) ---------- */
   const [ended, setEnded] = useState(false);
-  const alarmRef = useRef({ ctx: null, nodes: [], stopTimer: null });
+  // sound: playAlarm handle; stopTimer: scheduler cancel fn; owner: this tab rings (other tabs only mirror `ended`)
+  const alarmRef = useRef({ ctx: null, sound: null, stopTimer: null, owner: false, buffers: {} });
+
+  /* ---------- scheduler (wakes end detection on time, even in hidden tabs) ---------- */
+  const schedulerRef = useRef(null);
+  useEffect(() => {
+    const sch = createScheduler({ clock });
+    schedulerRef.current = sch;
+    return () => sch.dispose();
+  }, [clock]);
+  useEffect(() => {
+    if (!running || !endTs) return;
+    // bumping `now` to the deadline runs the end-detection effect below without waiting for RAF
+    return schedulerRef.current?.at(endTs, (t) => setNow(t));
+  }, [running, endTs]);
 
-  /* ---------- smooth tick (RAF) ---------- */
+  /* ---------- smooth tick (RAF, visuals only) ---------- */
   const rafRef = useRef(null);
+  const ticking = running || sw.running || sideTimers.some(t => t.running);
   useEffect(() => {
-    if (!running) return;
-    const loop = () => { setNow(Date.now()); rafRef.current = requestAnimationFrame(loop); };
+    if (!ticking) return;
+    const loop = () => { setNow(clock.now()); rafRef.current = requestAnimationFrame(loop); };
     rafRef.current = requestAnimationFrame(loop);
     return () => cancelAnimationFrame(rafRef.current);
-  }, [running]);
+  }, [ticking, clock]);
 
   const remainingMs = useMemo(
     () => (running ? Math.max(0, endTs - now) : targetMs),
     [running, endTs, now, targetMs]
   );
 
+  const swElapsedMs = sw.running ? Math.max(0, now - sw.startTs) : sw.elapsedMs;
+
   const frac = useMemo(() => {
+    if (isStopwatch) return stopwatchFrac(swElapsedMs, design, swSandMin);
     if ((editing && !running) || targetMs === 0) return 0;
     return clamp(remainingMs / targetMs, 0, 1);
-  }, [editing, running, targetMs, remainingMs]);
+  }, [isStopwatch, swElapsedMs, design, swSandMin, editing, running, targetMs, remainingMs]);
+
+  // whether the visible clock is moving (countdown or stopwatch, depending on mode)
+  const activeRunning = isStopwatch ? sw.running : running;
 
   /* ---------- persist ---------- */
   useEffect(() => localStorage.setItem(LS.design, design), [design]);
-  useEffect(() => localStorage.setItem(LS.waveMood, waveMood), [waveMood]);
-  useEffect(() => localStorage.setItem(LS.sandSimplified, String(sandSimplified)), [sandSimplified]);
-  useEffect(() => localStorage.setItem(LS.barCentered, String(barCentered)), [barCentered]);
+  useEffect(() => localStorage.setItem(LS.designOpts, JSON.stringify(designOpts)), [designOpts]);
   useEffect(() => localStorage.setItem(LS.muted, String(muted)), [muted]);
   useEffect(() => localStorage.setItem(LS.targetMs, String(targetMs)), [targetMs]);
   useEffect(() => localStorage.setItem(LS.running, String(running)), [running]);
   useEffect(() => localStorage.setItem(LS.endTs, String(endTs)), [endTs]);
+  useEffect(() => localStorage.setItem(LS.cycleOn, String(cycleOn)), [cycleOn]);
+  useEffect(() => localStorage.setItem(LS.cycleCfg, JSON.stringify(cycleCfg)), [cycleCfg]);
+  useEffect(() => localStorage.setItem(LS.cycleProg, JSON.stringify(cycleProg)), [cycleProg]);
+  useEffect(() => localStorage.setItem(LS.mode, mode), [mode]);
+  useEffect(() => localStorage.setItem(LS.stopwatch, JSON.stringify(sw)), [sw]);
+  useEffect(() => localStorage.setItem(LS.swSandMin, String(swSandMin)), [swSandMin]);
+  useEffect(() => localStorage.setItem(LS.sequences, JSON.stringify(sequences)), [sequences]);
+  useEffect(() => localStorage.setItem(LS.seqRun, JSON.stringify(seqRun)), [seqRun]);
+  useEffect(() => localStorage.setItem(LS.session, JSON.stringify(session)), [session]);
+  useEffect(() => localStorage.setItem(LS.history, JSON.stringify(history)), [history]);
+  useEffect(() => localStorage.setItem(LS.alarm, JSON.stringify(alarmCfg)), [alarmCfg]);
+  useEffect(() => localStorage.setItem(LS.presets, JSON.stringify(presets)), [presets]);
+  useEffect(() => localStorage.setItem(LS.theme, JSON.stringify(theme)), [theme]);
+  useEffect(() => localStorage.setItem(LS.themes, JSON.stringify(savedThemes)), [savedThemes]);
+  useEffect(() => localStorage.setItem(LS.side, JSON.stringify(sideTimers)), [sideTimers]);
+
+  /* ---------- session tracking ---------- */
+  const openSession = (plannedMs, label = "Focus", kind = "focus", t = clock.now()) => {
+    setSession({ startTs: t, plannedMs, label, kind, focusedMs: 0, pauses: 0, segStart: t });
+  };
+  // `at` is when the session really stopped (endTs on completion, even if detected late)
+  const closeSession = (finished, at = clock.now()) => {
+    if (!session) return;
+    const focusedMs = session.focusedMs + (session.segStart ? Math.max(0, at - session.segStart) : 0);
+    if (focusedMs >= MIN_LOG_MS) {
+      const { segStart: _, ...rest } = session;
+      const entry = { ...rest, id: `${session.startTs}-${Math.random().toString(36).slice(2, 7)}`, endTs: at, focusedMs, finished };
+      setHistory(h => [...h, entry].slice(-HISTORY_MAX));
+    }
+    setSession(null);
+  };
+  const pauseSession = () => setSession(s => (s && s.segStart
+    ? { ...s, focusedMs: s.focusedMs + (clock.now() - s.segStart), pauses: s.pauses + 1, segStart: 0 }
+    : s));
+  const resumeSession = () => setSession(s => (s && !s.segStart ? { ...s, segStart: clock.now() } : s));
 
   /* ---------- alarm helpers ---------- */
   const stopAlarm = () => {
     setEnded(false);
     const a = alarmRef.current;
-    if (a.stopTimer) { clearTimeout(a.stopTimer); a.stopTimer = null; }
-    a.nodes.forEach(n => { try { n.stop?.(); n.disconnect?.(); } catch {} });
-    a.nodes = [];
+    if (a.owner) { a.owner = false; channelRef.current?.post({ type: "ringing", on: false }); }
+    if (a.stopTimer) { a.stopTimer(); a.stopTimer = null; }
+    if (a.sound) { a.sound.stop(); a.sound = null; }
+  };
+
+  const audioCtx = () => {
+    let ctx = alarmRef.current.ctx;
+    if (!ctx) ctx = alarmRef.current.ctx = new (window.AudioContext || window.webkitAudioContext)();
+    return ctx;
+  };
+
+  // short two-note chime between sequence steps (not tracked as alarm nodes)
+  const playChime = (hz) => {
+    if (muted) return;
+    const ctx = audioCtx();
+    const t0 = ctx.currentTime;
+    [0, 0.18].forEach((dt, i) => {
+      const osc = ctx.createOscillator();
+      const g = ctx.createGain();
+      osc.type = "triangle"; osc.frequency.setValueAtTime(hz * (i ? 1.5 : 1), t0 + dt);
+      g.gain.setValueAtTime(0.0001, t0 + dt);
+      g.gain.exponentialRampToValueAtTime(0.22, t0 + dt + 0.02);
+      g.gain.exponentialRampToValueAtTime(0.0001, t0 + dt + 0.4);
+      osc.connect(g); g.connect(ctx.destination);
+      osc.start(t0 + dt); osc.stop(t0 + dt + 0.42);
+    });
+  };
+
+  // custom sounds fall back to the default tone until their buffer is decoded
+  const playAlarmSound = (cfg) => {
+    const custom = cfg.sound.startsWith(CUSTOM_PREFIX);
+    const buffer = custom ? alarmRef.current.buffers[cfg.sound] : null;
+    return playAlarm(audioCtx(), custom && !buffer ? { ...cfg, sound: DEFAULT_ALARM.sound } : cfg, buffer);
+  };
+
+  /* ---------- alarm sound library ---------- */
+  const refreshCustomSounds = () =>
+    listCustomSounds().then(list => setCustomSounds(list.map(r => ({ id: r.id, name: r.name })))).catch(console.error);
+  useEffect(() => { refreshCustomSounds(); }, []);
+
+  // decode the chosen upload ahead of time so a background alarm can play it instantly
+  useEffect(() => {
+    const key = alarmCfg.sound;
+    if (!key.startsWith(CUSTOM_PREFIX) || alarmRef.current.buffers[key]) return;
+    listCustomSounds()
+      .then(list => list.find(r => CUSTOM_PREFIX + r.id === key))
+      .then(rec => rec && decodeSound(audioCtx(), rec))
+      .then(buf => { if (buf) alarmRef.current.buffers[key] = buf; })
+      .catch(console.error);
+  }, [alarmCfg.sound]);
+
+  const uploadSound = async (file) => {
+    if (!file) return;
+    try {
+      const rec = await addCustomSound(file);
+      await refreshCustomSounds();
+      setAlarmCfg(c => ({ ...c, sound: CUSTOM_PREFIX + rec.id }));
+    } catch (e) {
+      console.error(e);
+    }
+  };
+  const deleteSound = async (id) => {
+    await removeCustomSound(id).catch(console.error);
+    delete alarmRef.current.buffers[CUSTOM_PREFIX + id];
+    if (alarmCfg.sound === CUSTOM_PREFIX + id) setAlarmCfg(c => ({ ...c, sound: DEFAULT_ALARM.sound }));
+    refreshCustomSounds();
+  };
+
+  // preview: one non-repeating play (capped), click again to stop
+  const previewRef = useRef(null);
+  const [previewing, setPreviewing] = useState(false);
+  const stopPreview = () => {
+    const p = previewRef.current;
+    if (p) { clearTimeout(p.timer); p.sound.stop(); previewRef.current = null; }
+    setPreviewing(false);
+  };
+  const togglePreview = () => {
+    if (previewRef.current) { stopPreview(); return; }
+    const cfg = { ...alarmCfg, repeat: false, lengthSec: Math.min(alarmCfg.lengthSec, 8) };
+    const sound = playAlarmSound(cfg);
+    previewRef.current = { sound, timer: setTimeout(stopPreview, cfg.lengthSec * 1000 + 500) };
+    setPreviewing(true);
   };
 
   const startAlarm = () => {
     setEnded(true);
-    if (!muted) {
-      let ctx = alarmRef.current.ctx;
-      if (!ctx) ctx = alarmRef.current.ctx = new (window.AudioContext || window.webkitAudioContext)();
-      const t0 = ctx.currentTime;
-      const ping = (t) => {
-        const osc = ctx.createOscillator();
-        const g = ctx.createGain();
-        osc.type = "sine"; osc.frequency.setValueAtTime(880, t);
-        g.gain.setValueAtTime(0.0001, t);
-        g.gain.exponentialRampToValueAtTime(0.25, t + 0.02);
-        g.gain.exponentialRampToValueAtTime(0.0001, t + 0.5);
-        osc.connect(g); g.connect(ctx.destination);
-        osc.start(t); osc.stop(t + 0.52);
-        alarmRef.current.nodes.push(osc, g);
-      };
-      ping(t0 + 0.00);
-      ping(t0 + 1.8);
-      ping(t0 + 3.6);
+    alarmRef.current.owner = true;
+    channelRef.current?.post({ type: "ringing", on: true });
+    const label = session?.label || "Timer";
+    const upNext = cycleOn && !seqRun ? ` — ${PHASES[nextPhase(cycleProg, cycleCfg).phase].label} next` : "";
+    showNotification(`${label} finished`, {
+      body: `Time's up${upNext}.`,
+      tag: NOTIFY_TAG,
+      data: { tab: TAB_ID },
+      actions: [{ action: "stop", title: "Stop" }, { action: "snooze", title: "+5 min" }],
+    });
+    if (!muted) alarmRef.current.sound = playAlarmSound(alarmCfg);
+    // repeat-until-dismissed waits for Stop; otherwise wrap up when the sound is done
+    if (!alarmCfg.repeat) {
+      alarmRef.current.stopTimer = schedulerRef.current?.at(clock.now() + alarmCfg.lengthSec * 1000, finishAlarm) || null;
     }
-    alarmRef.current.stopTimer = setTimeout(() => {
-      stopAlarm();
-      setTargetMs(lastStartMs);
-      setEditing(false);
-    }, 5000);
+  };
+
+  // after the alarm: cycle mode chains into the next phase, otherwise restore the last duration
+  const finishAlarm = () => {
+    stopAlarm();
+    if (seqRun) setSeqRun(null);
+    if (!cycleOn || seqRun) { setTargetMs(lastStartMs); setEditing(false); return; }
+    const next = nextPhase(cycleProg, cycleCfg);
+    const ms = phaseMs(next.phase, cycleCfg);
+    setCycleProg(next);
+    openSession(ms, PHASES[next.phase].label, next.phase === "work" ? "focus" : "break");
+    startMs(ms);
   };
 
   /* ---------- end detection ---------- */
-  const chimePlayedRef = useRef(false);
-  useEffect(() => {
-    if (!running) { chimePlayedRef.current = false; return; }
-    if (remainingMs <= 0 && !chimePlayedRef.current) {
-      chimePlayedRef.current = true;
-      setRunning(false);
-      setEndTs(0);
-      startAlarm();
+  const handleEnd = () => {
+    // mid-sequence: chime and roll straight into the next step
+    if (runStep && seqRun.step < runSteps.length - 1) {
+      const next = seqRun.step + 1;
+      playChime(CHIME_HZ[next % CHIME_HZ.length]);
+      setSeqRun({ ...seqRun, step: next });
+      // chain from the previous deadline, not from detection time, so steps never drift
+      closeSession(true, endTs);
+      openSession(runSteps[next].sec * 1000, runSteps[next].label || "Step", "focus", endTs);
+      startMs(runSteps[next].sec * 1000, endTs);
+      return;
     }
-  }, [remainingMs, running]); // mute/lastStart handled in helpers
+    closeSession(true, endTs);
+    setRunning(false);
+    setEndTs(0);
+    startAlarm();
+  };
+
+  // each deadline is handled once, and only by the tab that claims it; the others pick up the result via storage
+  const handledEndRef = useRef(0);
+  useEffect(() => {
+    if (!running || remainingMs > 0 || handledEndRef.current === endTs) return;
+    handledEndRef.current = endTs;
+    claimAlarm(endTs).then(mine => { if (mine) handleEnd(); });
+  }, [remainingMs, running, endTs]); // mute/lastStart handled in helpers
+
+  /* ---------- side timer alarms ---------- */
+  const patchSide = (id, fn) => setSideTimers(list => list.map(t => (t.id === id ? fn(t) : t)));
+  const ringSide = (t) => {
+    showNotification(`${t.name} finished`, { body: "Time's up.", tag: `${NOTIFY_TAG}-${t.id}` });
+    if (muted) return;
+    const entry = { sound: playAlarmSound(alarmCfg), stopTimer: null };
+    // the row stays "Done" until dismissed; the sound follows the alarm length unless repeat is on
+    if (!alarmCfg.repeat) entry.stopTimer = schedulerRef.current?.at(clock.now() + alarmCfg.lengthSec * 1000, () => { entry.sound.stop(); entry.sound = null; }) || null;
+    sideSoundsRef.current[t.id] = entry;
+  };
+  // latest list + alarm settings for the scheduler callbacks below
+  const sideEndRef = useRef(null);
+  sideEndRef.current = (id) => {
+    const t = sideTimers.find(x => x.id === id && x.running);
+    if (!t) return;
+    patchSide(id, endTimer);
+    ringSide(t);
+  };
+  // like the primary deadline: one scheduler wake-up per running timer, rung by the tab that claims it
+  const runningSideKey = sideTimers.filter(t => t.running).map(t => `${t.id}@${t.endTs}`).join(",");
+  useEffect(() => {
+    if (!runningSideKey) return;
+    const cancels = runningSideKey.split(",").map(key => {
+      const [id, end] = key.split("@");
+      return schedulerRef.current?.at(Number(end), () => {
+        claimAlarm(`side:${key}`).then(mine => { if (mine) sideEndRef.current(id); });
+      });
+    });
+    return () => cancels.forEach(c => c?.());
+  }, [runningSideKey]);
+  // dismissing in another tab (or removing the row) silences the tab that rang
+  useEffect(() => {
+    const rang = sideSoundsRef.current;
+    Object.keys(rang).forEach(id => {
+      if (sideTimers.some(t => t.id === id && t.ended)) return;
+      rang[id].sound?.stop();
+      rang[id].stopTimer?.();
+      delete rang[id];
+    });
+  }, [sideTimers]);
+
+  /* ---------- tab title + favicon ---------- */
+  // 1 Hz interval instead of the RAF tick: RAF stalls in background tabs, which is exactly when the title matters
+  const tabLabel = session?.label || runStep?.label || (cycleOn ? PHASES[cycleProg.phase].label : "Focus");
+  const tabPaused = !running && !editing && !!session && targetMs > 0;
+  useEffect(() => {
+    if (ended) { setTabStatus({ text: "Time's up", label: tabLabel, frac: 0, state: "ended" }); return; }
+    if (tabPaused) { setTabStatus({ text: fmtCountdown(targetMs), label: tabLabel, frac: clamp(targetMs / (session.plannedMs || targetMs), 0, 1), state: "paused" }); return; }
+    if (!running) { setTabStatus(null); return; }
+    const paint = () => {
+      const left = Math.max(0, endTs - clock.now());
+      setTabStatus({ text: fmtCountdown(left), label: tabLabel, frac: clamp(left / (session?.plannedMs || targetMs || 1), 0, 1), state: "running" });
+    };
+    paint();
+    const id = setInterval(paint, 1000);
+    return () => clearInterval(id);
+  }, [ended, tabPaused, running, endTs, targetMs, tabLabel, session?.plannedMs, clock]);
+  useEffect(() => () => setTabStatus(null), []);
+
+  /* ---------- focus mode (fullscreen, planner + music overlays) ---------- */
+  const rootRef = useRef(null);
+  const [focusMode, setFocusMode] = useState(false);
+  const [cursorHidden, setCursorHidden] = useState(false);
+  const enterFocus = () => {
+    setFocusMode(true);
+    // the fixed overlay covers the page even where the Fullscreen API is missing or refused
+    rootRef.current?.requestFullscreen?.().catch(() => {});
+  };
+  const exitFocus = () => {
+    setFocusMode(false);
+    setCursorHidden(false);
+    if (document.fullscreenElement) document.exitFullscreen?.().catch(() => {});
+  };
+  // the browser eats Esc to leave fullscreen; follow it out of focus mode
+  useEffect(() => {
+    const onChange = () => { if (!document.fullscreenElement) { setFocusMode(false); setCursorHidden(false); } };
+    document.addEventListener("fullscreenchange", onChange);
+    return () => document.removeEventListener("fullscreenchange", onChange);
+  }, []);
+  useEffect(() => {
+    if (!focusMode) return;
+    let t;
+    const wake = () => { setCursorHidden(false); clearTimeout(t); t = setTimeout(() => setCursorHidden(true), CURSOR_IDLE_MS); };
+    wake();
+    window.addEventListener("mousemove", wake);
+    window.addEventListener("mousedown", wake);
+    return () => { clearTimeout(t); window.removeEventListener("mousemove", wake); window.removeEventListener("mousedown", wake); };
+  }, [focusMode]);
+
+  /* ---------- floating window (picture-in-picture) ---------- */
+  const [pipWin, setPipWin] = useState(null);
+  const togglePip = async () => {
+    if (pipWin) { pipWin.close(); return; }
+    const w = await openPipWindow({ title: "AgariBro Timer" });
+    if (!w) return;
+    w.addEventListener("pagehide", () => setPipWin(null), { once: true });
+    setPipWin(w);
+  };
+  // popups outlive their opener; close ours with the page
+  useEffect(() => {
+    if (!pipWin) return;
+    const close = () => pipWin.close();
+    window.addEventListener("pagehide", close);
+    return () => window.removeEventListener("pagehide", close);
+  }, [pipWin]);
+  // this tab's RAF stalls once it's hidden, but the floating window is still on screen: tick from its frames
+  useEffect(() => {
+    if (!pipWin || !ticking) return;
+    let id;
+    const loop = () => { if (document.hidden) setNow(clock.now()); id = pipWin.requestAnimationFrame(loop); };
+    id = pipWin.requestAnimationFrame(loop);
+    return () => pipWin.cancelAnimationFrame(id);
+  }, [pipWin, ticking, clock]);
+
+  /* ---------- cross-tab sync ---------- */
+  const channelRef = useRef(null);
+  useEffect(() => {
+    const ch = openTimerChannel((msg) => {
+      if (msg?.type === "ringing" && !alarmRef.current.owner) setEnded(msg.on);
+      if ((msg?.type === "stop" || msg?.type === "snooze") && alarmRef.current.owner) alarmActionsRef.current[msg.type](msg.ms);
+    });
+    channelRef.current = ch;
+    return () => ch.close();
+  }, []);
+  useEffect(() => subscribeStorage({
+    [LS.running]: (v) => setRunning(v === "true"),
+    [LS.endTs]: (v) => setEndTs(Number(v) || 0),
+    [LS.targetMs]: (v) => { const ms = Number(v) || 0; setTargetMs(ms); setBuf(msToBuf(ms)); setEditing(ms === 0); },
+    [LS.cycleOn]: (v) => setCycleOn(v === "true"),
+    [LS.cycleProg]: () => setCycleProg(readJSON(LS.cycleProg, FIRST_PHASE)),
+    [LS.seqRun]: () => setSeqRun(readJSON(LS.seqRun, null)),
+    [LS.session]: () => setSession(readJSON(LS.session, null)),
+    [LS.history]: () => setHistory(readJSON(LS.history, [])),
+    [LS.stopwatch]: () => setSw({ ...SW_IDLE, ...readJSON(LS.stopwatch, {}) }),
+    [LS.side]: () => setSideTimers(readJSON(LS.side, [])),
+  }), []);
 
   /* ---------- actions ---------- */
-  const startFromCurrent = () => {
-    const ms = editing ? bufToMs(buf) : targetMs;
-    if (ms <= 0) return;
+  const startMs = (ms, from = clock.now()) => {
     stopAlarm();
     setLastStartMs(ms);
     setTargetMs(ms);
-    setEndTs(Date.now() + ms);
+    setEndTs(from + ms);
     setRunning(true);
     setEditing(false);
   };
-  const onPause = () => { setRunning(false); setTargetMs(remainingMs); };
+  // label the log entry after whatever is driving the countdown
+  const currentSessionMeta = () => {
+    if (runStep) return [runStep.label || "Step", "focus"];
+    if (cycleOn) return [PHASES[cycleProg.phase].label, cycleProg.phase === "work" ? "focus" : "break"];
+    return ["Focus", "focus"];
+  };
+  const startFromCurrent = () => {
+    const ms = editing ? bufToMs(buf) : targetMs;
+    if (ms <= 0) return;
+    // resuming a paused countdown keeps its session; a freshly edited time starts a new one
+    if (session && !session.segStart && (!editing || buf === msToBuf(targetMs))) resumeSession();
+    else { closeSession(false); openSession(ms, ...currentSessionMeta()); }
+    startMs(ms);
+  };
+  const onPause = () => { setRunning(false); setTargetMs(remainingMs); pauseSession(); };
   const onReset = () => {
-    setRunning(false); stopAlarm();
-    setTargetMs(0); setEndTs(0); setBuf("000000"); setEditing(true);
+    closeSession(false);
+    setRunning(false); stopAlarm(); setSeqRun(null);
+    setEndTs(0); setEditing(true);
+    if (cycleOn) {
+      const ms = phaseMs(FIRST_PHASE.phase, cycleCfg);
+      setCycleProg(FIRST_PHASE); setTargetMs(ms); setBuf(msToBuf(ms));
+    } else {
+      setTargetMs(0); setBuf(EMPTY_BUF);
+    }
+  };
+  // a mirroring tab asks the ringing tab to stop instead of running the end flow itself
+  const onStopAlarm = () => {
+    if (alarmRef.current.owner) finishAlarm();
+    else { setEnded(false); channelRef.current?.post({ type: "stop" }); }
+  };
+
+  /* ---------- extend / snooze ---------- */
+  // extensions are kept on the session so planned vs. focused time stays honest in the log
+  const recordExtension = (ms) => setSession(s => (s
+    ? { ...s, plannedMs: s.plannedMs + ms, extensions: [...(s.extensions || []), { at: clock.now(), ms }] }
+    : s));
+
+  // ringing → snooze; running → push the deadline; paused → add to what's left; idle → fresh countdown
+  const extendBy = (ms) => {
+    if (ended) { snooze(ms); return; }
+    const add = Math.min(ms, LIMIT_SEC * 1000 - remainingMs);
+    if (add <= 0) return;
+    if (running) {
+      setEndTs(t => t + add); setTargetMs(t => t + add);
+      recordExtension(add);
+    } else if (session && !editing) {
+      setTargetMs(targetMs + add);
+      recordExtension(add);
+    } else {
+      closeSession(false);
+      openSession(ms, ...currentSessionMeta());
+      startMs(ms);
+    }
+  };
+  const extendCustom = () => {
+    const raw = prompt('Add how much time? (e.g., "10m", "1h 15", "90s")');
+    if (!raw) return;
+    const ms = parseDuration(raw);
+    if (!Number.isFinite(ms) || ms <= 0) { alert("Could not parse that duration. Try 10m, 1h 15 or 90s."); return; }
+    extendBy(ms);
+  };
+
+  // snooze belongs to the ringing tab; others forward the request
+  const snooze = (ms = SNOOZE_MS) => {
+    if (!alarmRef.current.owner) { setEnded(false); channelRef.current?.post({ type: "snooze", ms }); return; }
+    const [label, kind] = currentSessionMeta();
+    openSession(ms, `${label} (snooze)`, kind);
+    startMs(ms);
+  };
+
+  const toggleNotify = async (on) => {
+    setNotifyOn(on);
+    setNotifyPerm(await enableNotifications(on));
+  };
+
+  // latest handlers for long-lived listeners (notification clicks, other tabs)
+  const alarmActionsRef = useRef({});
+  alarmActionsRef.current = {
+    stop: () => { if (ended) onStopAlarm(); },
+    snooze: (ms = SNOOZE_MS) => extendBy(ms),
+  };
+  useEffect(() => onNotificationAction(({ tag, action, data }) => {
+    if (tag === NOTIFY_TAG && data?.tab === TAB_ID) alarmActionsRef.current[action]?.();
+  }), []);
+
+  /* ---------- sequence actions ---------- */
+  const runSequence = (seq) => {
+    const steps = flattenSequence(seq);
+    if (!steps.length) return;
+    setMode("timer");
+    setSeqRun({ id: seq.id, step: 0 });
+    playChime(CHIME_HZ[0]);
+    closeSession(false);
+    openSession(steps[0].sec * 1000, steps[0].label || "Step");
+    startMs(steps[0].sec * 1000);
+    setOpen(false);
+  };
+  const saveSequence = (seq) => {
+    setSequences(list => (list.some(q => q.id === seq.id) ? list.map(q => (q.id === seq.id ? seq : q)) : [...list, seq]));
+    setSeqEditing(null);
+  };
+  const deleteSequence = (id) => {
+    setSequences(list => list.filter(q => q.id !== id));
+    if (seqRun?.id === id) setSeqRun(null);
+  };
+
+  /* ---------- preset actions ---------- */
+  const savePreset = () => {
+    const ms = editing ? bufToMs(buf) : targetMs;
+    if (ms <= 0) { alert("Set a time first."); return; }
+    const name = prompt("Preset name", fmtCountdown(ms))?.trim();
+    if (!name) return;
+    const preset = {
+      id: Math.random().toString(36).slice(2, 9), name, ms,
+      design: designDef.id, designOpts: designOptions(designDef, designOpts[designDef.id]), sound: alarmCfg.sound,
+    };
+    setPresets(list => [...list, preset]);
+  };
+  const launchPreset = (p) => {
+    setMode("timer");
+    setSeqRun(null);
+    setDesign(p.design);
+    setDesignOpts(o => ({ ...o, [p.design]: { ...o[p.design], ...p.designOpts } }));
+    setAlarmCfg(c => ({ ...c, sound: p.sound }));
+    closeSession(false);
+    openSession(p.ms, p.name);
+    startMs(p.ms);
+  };
+  const movePreset = (id, dir) => setPresets(list => {
+    const i = list.findIndex(p => p.id === id), j = i + dir;
+    if (i < 0 || j < 0 || j >= list.length) return list;
+    const next = [...list];
+    [next[i], next[j]] = [next[j], next[i]];
+    return next;
+  });
+  const deletePreset = (id) => setPresets(list => list.filter(p => p.id !== id));
+
+  /* ---------- side timer actions ---------- */
+  const addSideTimer = (name, ms) => {
+    const t = newTimer(name, Math.min(ms, LIMIT_SEC * 1000));
+    setSideTimers(list => [...list, startTimer(t, clock.now())]);
+  };
+  const toggleSideTimer = (id) => patchSide(id, t => (t.running ? pauseTimer(t, clock.now()) : startTimer(t, clock.now())));
+  const promoteSideTimer = (id) => {
+    const t = sideTimers.find(x => x.id === id);
+    if (!t || t.ended || ended) return;
+    const rest = sideTimers.filter(x => x.id !== id);
+    // the current primary countdown (running or paused) steps down into the list
+    if (running || (session && !editing && targetMs > 0)) {
+      rest.push({
+        ...newTimer(session?.label || "Timer", session?.plannedMs || targetMs),
+        running, endTs: running ? endTs : 0, remainingMs: running ? remainingMs : targetMs,
+      });
+    }
+    setSideTimers(rest);
+    setSeqRun(null);
+    setMode("timer"); // rows are listed in stopwatch view too
+    closeSession(false);
+    const left = timerLeft(t, clock.now());
+    if (t.running) {
+      // same deadline, and the fill keeps measuring against the full duration
+      openSession(left, t.name);
+      startMs(t.durationMs, t.endTs - t.durationMs);
+      return;
+    }
+    // a half-run timer arrives paused, with a session that isn't counting yet
+    if (left < t.durationMs) { openSession(left, t.name); setSession(s => ({ ...s, segStart: 0 })); }
+    setRunning(false);
+    setEndTs(0);
+    setLastStartMs(t.durationMs);
+    setTargetMs(left);
+    setBuf(msToBuf(left));
+    setEditing(left === t.durationMs);
+  };
+
+  /* ---------- stopwatch actions ---------- */
+  // while running, `startTs` is shifted back by the time already counted so elapsed = now - startTs
+  const swStart = () => setSw(s => (s.running ? s : { ...s, running: true, startTs: clock.now() - s.elapsedMs }));
+  const swPause = () => setSw(s => (s.running ? { ...s, running: false, elapsedMs: clock.now() - s.startTs } : s));
+  const swReset = () => setSw(SW_IDLE);
+  const swLap = () => setSw(s => {
+    if (!s.running) return s;
+    const totalMs = clock.now() - s.startTs;
+    const prevMs = s.laps.length ? s.laps[s.laps.length - 1].totalMs : 0;
+    return { ...s, laps: [...s.laps, { totalMs, splitMs: totalMs - prevMs }] };
+  });
+  /* ---------- typed command ("25m", "1h 15", "until 3:30pm") ---------- */
+  const [cmd, setCmd] = useState("");
+  const [cmdErr, setCmdErr] = useState(false);
+  const applyCommand = (e) => {
+    e.preventDefault();
+    const parsed = parseTimerCommand(cmd, new Date(clock.now()));
+    if (!parsed) { setCmdErr(true); return; }
+    const ms = clamp(parsed.ms, 1000, LIMIT_SEC * 1000);
+    setCmd(""); setCmdErr(false); setCaretOn(false);
+    e.currentTarget.querySelector("input")?.blur();
+    stopAlarm();
+    // "until" starts right away so the deadline lands exactly on the requested clock time
+    if (parsed.until) {
+      closeSession(false);
+      openSession(ms, ...currentSessionMeta());
+      startMs(ms);
+      return;
+    }
+    setBuf(msToBuf(ms)); setTargetMs(ms); setEditing(true);
+  };
+
+  const toggleMode = () => { setCaretOn(false); setMode(m => (m === "stopwatch" ? "timer" : "stopwatch")); };
+
+  /* ---------- cycle settings ---------- */
+  // load a phase into the editor without starting it
+  const loadPhase = (prog, cfg) => {
+    const ms = phaseMs(prog.phase, cfg);
+    setCycleProg(prog); setTargetMs(ms); setBuf(msToBuf(ms)); setEditing(true);
+  };
+  const toggleCycle = (on) => {
+    setCycleOn(on);
+    if (on && !running) loadPhase(FIRST_PHASE, cycleCfg);
+  };
+  const updateCycleCfg = (key, value) => {
+    const n = Math.max(1, Math.round(Number(value) || 0));
+    const cfg = { ...cycleCfg, [key]: n };
+    setCycleCfg(cfg);
+    if (cycleOn && !running && !ended) loadPhase(cycleProg, cfg);
   };
-  const onStopAlarm = () => { stopAlarm(); setTargetMs(lastStartMs); setEditing(false); };
 
   /* ---------- caret-based editing ---------- */
-  const [caret, setCaret] = useState(0);       // 0..6
+  const [caret, setCaret] = useState(BUF_LEN - 6); // 0..BUF_LEN; starts at the hours
   const [caretOn, setCaretOn] = useState(false);
-  const showCaret = editing && !running && caretOn;
+  const showCaret = !isStopwatch && editing && !running && caretOn;
 
-  const displayBuf = running ? msToBuf(remainingMs) : (editing ? buf : msToBuf(targetMs));
-  const [H1,H2,M1,M2,S1,S2] = displayBuf.split("");
+  const displayBuf = isStopwatch ? msToBuf(swElapsedMs)
+    : running ? msToBuf(remainingMs) : (editing ? buf : msToBuf(targetMs));
+  const [H1,H2,M1,M2,S1,S2] = displayBuf.slice(-6).split("");
+  const dayDigits = String(Number(displayBuf.slice(0, -6)) || ""); // "" when under a day
+  const displayText = bufToText(displayBuf);
 
-  const clampCaret = (i) => Math.max(0, Math.min(6, i));
+  const clampCaret = (i) => Math.max(0, Math.min(BUF_LEN, i));
 
   const setCaretFromClick = (idx, side) => {
     const pos = idx + (side === "right" ? 1 : 0);
@@ -174,7 +887,7 @@ export default function TimerCard() {
   const insertDigit = (d) => {
     const left = buf.slice(0, caret);
     const right = buf.slice(caret);
-    const next = (left + d + right).slice(0, 6).padEnd(6, "0");
+    const next = (left + d + right).slice(0, BUF_LEN).padEnd(BUF_LEN, "0");
     const clamped = secToBuf(bufToSec(next));
     setBuf(clamped); setCaret(clampCaret(caret + 1));
   };
@@ -182,18 +895,44 @@ export default function TimerCard() {
     if (caret === 0) return;
     const left = buf.slice(0, caret - 1);
     const right = buf.slice(caret);
-    const shifted = (left + right + "0").slice(0, 6);
+    const shifted = (left + right + "0").slice(0, BUF_LEN);
     const clamped = secToBuf(bufToSec(shifted));
     setBuf(clamped); setCaret(clampCaret(caret - 1));
   };
   const delAt = () => {
-    if (caret >= 6) return;
+    if (caret >= BUF_LEN) return;
     const left = buf.slice(0, caret);
     const right = buf.slice(caret + 1);
-    const shifted = (left + right + "0").slice(0, 6);
+    const shifted = (left + right + "0").slice(0, BUF_LEN);
     setBuf(secToBuf(bufToSec(shifted)));
   };
-  const adjustBy = (deltaSec) => setBuf(secToBuf(clamp(bufToSec(buf) + deltaSec, 0, LIMIT_SEC)));
+  // steps from what's on screen (a paused countdown's buf can be stale) and switches to editing
+  const adjustBy = (deltaSec) => {
+    setBuf(secToBuf(clamp(bufToSec(editing ? buf : msToBuf(targetMs)) + deltaSec, 0, LIMIT_SEC)));
+    setEditing(true);
+  };
+
+  /* ---------- screen reader semantics ---------- */
+  const onSliderKey = (e) => {
+    const step = { ArrowUp: 1, ArrowRight: 1, ArrowDown: -1, ArrowLeft: -1 }[e.key];
+    const page = { PageUp: 1, PageDown: -1 }[e.key];
+    if (e.key === "Home") { e.preventDefault(); setBuf(EMPTY_BUF); setEditing(true); return; }
+    if (!step && !page) return;
+    e.preventDefault();
+    adjustBy(step ? step * (e.shiftKey ? SLIDER_FINE_SEC : SLIDER_STEP_SEC) : page * SLIDER_PAGE_SEC);
+  };
+  // the time display: an adjustable slider while idle, a read-only timer while counting
+  const timeA11y = running || isStopwatch
+    ? { role: "timer", "aria-label": isStopwatch ? "Stopwatch" : `${tabLabel} timer` }
+    : {
+        role: "slider", "aria-label": "Timer duration", "aria-valuemin": 0, "aria-valuemax": LIMIT_SEC,
+        "aria-valuenow": bufToSec(displayBuf), "aria-valuetext": fmtSpoken(bufToMs(displayBuf)), onKeyDown: onSliderKey,
+      };
+  const politeText = isStopwatch || ended ? ""
+    : running ? `${fmtSpoken(announceAt(Math.ceil(remainingMs / 1000)) * 1000)} remaining`
+    : tabPaused ? `Paused, ${fmtSpoken(targetMs)} remaining` : "";
+  const endedSide = sideTimers.filter(t => t.ended).map(t => t.name);
+  const assertiveText = [...(ended ? [`${tabLabel}: time's up`] : []), ...endedSide.map(n => `${n}: time's up`)].join(". ");
 
   /* ---------- global key capture (type anywhere) ---------- */
   useEffect(() => {
@@ -202,25 +941,48 @@ export default function TimerCard() {
       return el?.isContentEditable || tag === "input" || tag === "textarea" || tag === "select";
     };
     const onKey = (e) => {
+      // If user is typing in a real input, ignore
+      if (isEditableTarget(e.target)) return;
+
+      // bindings live in ./shortcuts; digits, Backspace, Delete and Esc stay built in
+      const presetIdx = presets.slice(0, 9).findIndex((_, i) => matchShortcut(e, `timer.preset${i + 1}`));
+      if (presetIdx >= 0) { e.preventDefault(); launchPreset(presets[presetIdx]); return; }
+
+      // Focus mode: toggle key, Esc leaves (fullscreen handles its own Esc)
+      if (e.key === "Escape" && focusMode) { exitFocus(); return; }
+      if (matchShortcut(e, "timer.focus")) { e.preventDefault(); focusMode ? exitFocus() : enterFocus(); return; }
+
       // Stop alarm quickly
-      if (ended && (e.key === "Enter" || e.key === " ")) { e.preventDefault(); onStopAlarm(); return; }
+      if (ended && matchShortcut(e, "timer.stopAlarm")) { e.preventDefault(); onStopAlarm(); return; }
+      if (ended && matchShortcut(e, "timer.snooze")) { e.preventDefault(); snooze(); return; }
+
+      // Extend a running countdown by 1 or 5 min
+      if ((running || ended) && !isStopwatch) {
+        if (matchShortcut(e, "timer.extend1")) { e.preventDefault(); extendBy(EXTEND_OPTIONS[0].ms); return; }
+        if (matchShortcut(e, "timer.extend5")) { e.preventDefault(); extendBy(EXTEND_OPTIONS[1].ms); return; }
+      }
+
+      // Stopwatch: start/pause, lap, reset — no digit capture
+      if (isStopwatch) {
+        if (matchShortcut(e, "timer.swToggle")) { e.preventDefault(); sw.running ? swPause() : swStart(); }
+        else if (matchShortcut(e, "timer.swLap")) { e.preventDefault(); swLap(); }
+        else if (matchShortcut(e, "timer.swReset")) { e.preventDefault(); swReset(); }
+        return;
+      }
 
-      // Space toggles when not editing caret
+      // Start/pause and reset when not editing caret
       if (!editing || !caretOn) {
-        if (e.key === " ") { e.preventDefault(); running ? onPause() : startFromCurrent(); return; }
-        if (e.key.toLowerCase() === "r") { e.preventDefault(); onReset(); return; }
+        if (matchShortcut(e, "timer.toggle")) { e.preventDefault(); running ? onPause() : startFromCurrent(); return; }
+        if (matchShortcut(e, "timer.reset")) { e.preventDefault(); onReset(); return; }
       }
 
       // If running, ignore numeric capture
       if (running) return;
 
-      // If user is typing in a real input, ignore
-      if (isEditableTarget(e.target)) return;
-
       // Type-anywhere digits push into buffer
-      if (e.key >= "0" && e.key <= "9") {
+      if (e.key >= "0" && e.key <= "9" && !e.altKey && !e.ctrlKey && !e.metaKey) {
         e.preventDefault();
-        const next = (buf + e.key).slice(-6); // push-right
+        const next = (buf + e.key).slice(-BUF_LEN); // push-right (spills into days)
         setBuf(secToBuf(bufToSec(next)));
         setEditing(true);
         return;
@@ -228,76 +990,96 @@ export default function TimerCard() {
 
       if (e.key === "Backspace") {
         e.preventDefault();
-        const next = ("0" + buf).slice(0, 6); // pop-right
+        const next = ("0" + buf).slice(0, BUF_LEN); // pop-right
         setBuf(secToBuf(bufToSec(next)));
         return;
       }
 
-      if (e.key === "Delete") { e.preventDefault(); setBuf("000000"); return; }
+      if (e.key === "Delete") { e.preventDefault(); setBuf(EMPTY_BUF); return; }
     };
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [buf, running, ended, editing, caretOn]);
+  }, [buf, running, ended, editing, caretOn, isStopwatch, sw.running, focusMode, presets]);
 
   /* ---------- scrubbing helpers (disabled while caret active) ---------- */
-  const scrubDisabled = showCaret;
-  const scrubByX = (rect, clientX, snap5 = true) => {
+  const scrubDisabled = showCaret || isStopwatch;
+  const [scrubScale, setScrubScale] = useState(0); // index into SCRUB_SPANS_SEC: the shortest span drags use
+  const scrubSpan = (sec) => Math.max(scrubSpanFor(sec), SCRUB_SPANS_SEC[scrubScale]);
+  // drags pass the span they started with, so crossing a scale boundary mid-drag doesn't rescale
+  const scrubByX = (rect, clientX, snap5 = true, spanSec = scrubSpan(bufToSec(buf))) => {
     if (scrubDisabled) return;
     const x = clamp(clientX - rect.left, 0, rect.width);
     const f = x / rect.width;
-    const total = Math.round(f * LIMIT_SEC);
-    const snap = snap5 ? 5 : 1;
+    const total = Math.round(f * spanSec);
+    const snap = scrubSnapSec(spanSec, snap5);
     const sec = Math.round(total / snap) * snap;
     setBuf(secToBuf(sec));
   };
-  const scrubBar = (e) => {
-    if (scrubDisabled) return;
-    const el = e.currentTarget.querySelector(".agari-bar").getBoundingClientRect();
-    const setX = (clientX, shift) => scrubByX(el, clientX, !shift);
-    setX(e.clientX ?? e.touches?.[0]?.clientX ?? 0, e.shiftKey);
-    const move = (ev) => setX(ev.clientX ?? ev.touches?.[0]?.clientX ?? 0, ev.shiftKey);
-    const end = () => {
-      window.removeEventListener("mousemove", move);
-      window.removeEventListener("mouseup", end);
-      window.removeEventListener("touchmove", move);
-      window.removeEventListener("touchend", end);
-    };
-    window.addEventListener("mousemove", move);
-    window.addEventListener("mouseup", end);
-    window.addEventListener("touchmove", move, { passive: false });
-    window.addEventListener("touchend", end);
-  };
-  const ringScrub = (e, cx, cy, snap5 = true) => {
+  const ringScrub = (e, cx, cy, snap5 = true, spanSec = scrubSpan(bufToSec(buf)), ccw = false) => {
     if (scrubDisabled) return;
     const x = (e.clientX ?? e.touches?.[0]?.clientX) - cx;
     const y = (e.clientY ?? e.touches?.[0]?.clientY) - cy;
     let ang = Math.atan2(y, x);
     ang = (ang + Math.PI / 2 + 2 * Math.PI) % (2 * Math.PI);
-    const f = ang / (2 * Math.PI);
-    const total = Math.round(f * LIMIT_SEC);
-    const snap = snap5 ? 5 : 1;
+    const f = ccw ? (1 - ang / (2 * Math.PI)) % 1 : ang / (2 * Math.PI);
+    const total = Math.round(f * spanSec);
+    const snap = scrubSnapSec(spanSec, snap5);
     const sec = Math.round(total / snap) * snap;
     setBuf(secToBuf(sec));
   };
+  // handed to designs: press-to-set around a center, or drag along a track
+  const designScrub = {
+    angle: (e, rect, { spanSec, ccw } = {}) =>
+      ringScrub(e, rect.left + rect.width / 2, rect.top + rect.height / 2, !e.shiftKey, spanSec, ccw),
+    linear: (e, rect, vertical = false) => {
+      if (scrubDisabled) return;
+      const span = scrubSpan(bufToSec(buf));
+      const setAt = (ev) => {
+        if (!vertical) { scrubByX(rect, ev.clientX ?? ev.touches?.[0]?.clientX ?? 0, !ev.shiftKey, span); return; }
+        const y = ev.clientY ?? ev.touches?.[0]?.clientY ?? 0;
+        // bottom of the track = 0, top = full range; scrubByX does the snapping
+        scrubByX({ left: 0, width: rect.height }, rect.bottom - y, !ev.shiftKey, span);
+      };
+      setAt(e);
+      const end = () => {
+        window.removeEventListener("mousemove", setAt);
+        window.removeEventListener("mouseup", end);
+        window.removeEventListener("touchmove", setAt);
+        window.removeEventListener("touchend", end);
+      };
+      window.addEventListener("mousemove", setAt);
+      window.addEventListener("mouseup", end);
+      window.addEventListener("touchmove", setAt, { passive: false });
+      window.addEventListener("touchend", end);
+    },
+  };
 
-  /* ---------- shared time box (HH:MM:SS) ---------- */
-  const TimeBox = () => {
+  /* ---------- shared time box ([D:]HH:MM:SS) ---------- */
+  // render functions, not components: a component defined in here remounts on every render and drops keyboard focus
+  const renderTimeBox = () => {
+    const h0 = BUF_LEN - 6; // buffer index of the first hour digit
+    const days = [...dayDigits].map((ch, i) => ({ ch, idx: h0 - dayDigits.length + i }));
     const digits = [
-      { ch: H1, idx: 0 }, { ch: H2, idx: 1 }, { colon: true },
-      { ch: M1, idx: 2 }, { ch: M2, idx: 3 }, { colon: true },
-      { ch: S1, idx: 4 }, { ch: S2, idx: 5 },
+      ...days, ...(days.length ? [{ colon: true }] : []),
+      { ch: H1, idx: h0 }, { ch: H2, idx: h0 + 1 }, { colon: true },
+      { ch: M1, idx: h0 + 2 }, { ch: M2, idx: h0 + 3 }, { colon: true },
+      { ch: S1, idx: h0 + 4 }, { ch: S2, idx: h0 + 5 },
     ];
-    const caretSlot = caret; // 0..6
+    // a caret sitting in hidden leading day zeros shows before the first visible digit
+    const caretSlot = Math.max(caret, h0 - days.length); // 0..BUF_LEN
     return (
       <div className="group relative select-none">
         <div
           tabIndex={0}
-          className="flex items-center justify-center gap-2 px-6 py-3 rounded-2xl bg-white/10 border border-white/20 backdrop-blur-md text-white drop-shadow-lg font-sans tabular-nums text-6xl sm:text-7xl focus:outline-none"
-          title="Click between digits to edit (HH:MM:SS). Enter = Start"
-          onClick={() => { setEditing(true); setCaretOn(true); }}
+          {...timeA11y}
+          className={`flex items-center justify-center gap-2 px-6 py-3 rounded-2xl bg-white/10 border border-white/20 backdrop-blur-md text-agari drop-shadow-lg font-sans tabular-nums ${
+            days.length ? "text-5xl sm:text-6xl" : "text-6xl sm:text-7xl"
+          }`}
+          title="Click between digits to edit ([D:]HH:MM:SS). Enter = Start"
+          onClick={() => { if (isStopwatch) return; setEditing(true); setCaretOn(true); }}
           onBlur={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setCaretOn(false); }}
         >
-          <div className="flex items-center">
+          <div className="flex items-center" aria-hidden="true">
             {digits.map((d, k) => {
               if (d.colon) return <span key={`c${k}`} className="px-1 opacity-90">:</span>;
               return (
@@ -308,6 +1090,7 @@ export default function TimerCard() {
                   <span
                     className="px-0.5"
                     onMouseDown={(e) => {
+                      if (isStopwatch) return;
                       const rect = e.currentTarget.getBoundingClientRect();
                       const side = (e.clientX - rect.left) < rect.width / 2 ? "left" : "right";
                       setCaretFromClick(d.idx, side);
@@ -315,7 +1098,7 @@ export default function TimerCard() {
                   >
                     {d.ch}
                   </span>
-                  {showCaret && d.idx === 5 && caretSlot === 6 && (
+                  {showCaret && d.idx === BUF_LEN - 1 && caretSlot === BUF_LEN && (
                     <span className="agari-caret absolute -right-0.5 top-1/2 -translate-y-1/2 h-[1.2em]" />
                   )}
                 </div>
@@ -326,11 +1109,13 @@ export default function TimerCard() {
 
         {/* underline scrub (disabled while caret active) */}
         <div
+          aria-hidden="true"
           className={`mt-3 h-1 rounded-full ${scrubDisabled ? "bg-white/20" : "bg-white/30"} w-full agari-underline`}
           onMouseDown={(e) => {
             if (scrubDisabled) return;
             const rect = e.currentTarget.getBoundingClientRect();
-            const setX = (clientX, shift) => scrubByX(rect, clientX, !shift);
+            const span = scrubSpan(bufToSec(buf));
+            const setX = (clientX, shift) => scrubByX(rect, clientX, !shift, span);
             setX(e.clientX ?? e.touches?.[0]?.clientX ?? 0, e.shiftKey);
             const move = (ev) => setX(ev.clientX ?? ev.touches?.[0]?.clientX ?? 0, ev.shiftKey);
             const end = () => {
@@ -347,223 +1132,314 @@ export default function TimerCard() {
         >
           <div
             className="h-full rounded-full bg-white/80"
-            style={{ width: `${(bufToSec(displayBuf) / LIMIT_SEC) * 100}%`, transition: "width 120ms linear" }}
+            style={{ width: `${Math.min(1, bufToSec(displayBuf) / scrubSpan(bufToSec(displayBuf))) * 100}%`, transition: "width 120ms linear" }}
           />
         </div>
       </div>
     );
   };
 
-  /* ---------- designs ---------- */
-  const Ring = () => {
-    const r = 118, c = 2 * Math.PI * r, dash = c * frac;
-    const svgSize = 300, view = 280, cx = 140, cy = 140;
-    const angle = -Math.PI / 2 + (1 - frac) * 2 * Math.PI;
-    const hx = cx + Math.cos(angle) * r, hy = cy + Math.sin(angle) * r;
+  // the span drags use right now; a click steps to the next one, wrapping back to 24 h
+  const renderScaleToggle = () => {
+    if (scrubDisabled) return null;
+    const cur = SCRUB_SPANS_SEC.indexOf(scrubSpan(bufToSec(displayBuf)));
     return (
-      <svg
-        width={svgSize} height={svgSize} viewBox={`0 0 ${view} ${view}`}
-        className="drop-shadow-md touch-none"
-        onMouseDown={(e) => { const rect = e.currentTarget.getBoundingClientRect(); ringScrub(e, rect.left + rect.width / 2, rect.top + rect.height / 2, !e.shiftKey); }}
-        onTouchStart={(e) => { const rect = e.currentTarget.getBoundingClientRect(); ringScrub(e, rect.left + rect.width / 2, rect.top + rect.height / 2, true); }}
+      <button
+        type="button"
+        className="px-2 py-0.5 text-[11px] rounded-full text-agari-ink/60 hover:text-agari-ink hover:bg-agari-ink/5"
+        title="Range a full drag or turn covers"
+        onClick={() => setScrubScale((cur + 1) % SCRUB_SPANS_SEC.length)}
       >
-        <circle cx={cx} cy={cy} r={r} className="fill-none stroke-white/25" strokeWidth="10" />
-        <circle
-          cx={cx} cy={cy} r={r}
-          className="fill-none"
-          stroke="white" strokeOpacity="0.9"
-          strokeWidth="10" strokeLinecap="round"
-          strokeDasharray={`${dash} ${c}`} transform={`rotate(-90 ${cx} ${cy})`}
-          style={{ filter: "drop-shadow(0 0 6px rgba(255,255,255,0.6))" }}
-        />
-        <circle cx={hx} cy={hy} r="4.5" fill="white" opacity="0.95" />
-      </svg>
+        Drag range: {SCRUB_SPAN_LABELS[cur]}
+      </button>
     );
   };
 
-  const RingTicks = () => {
-    const r = 125, c = 2 * Math.PI * r, dash = c * frac;
-    const svgSize = 320, view = 300, cx = 150, cy = 150;
-    const ticks = Array.from({ length: 60 }, (_, i) => i);
-    return (
-      <svg
-        width={svgSize} height={svgSize} viewBox={`0 0 ${view} ${view}`}
-        className="drop-shadow-md touch-none"
-        onMouseDown={(e) => { const rect = e.currentTarget.getBoundingClientRect(); ringScrub(e, rect.left + rect.width / 2, rect.top + rect.height / 2, !e.shiftKey); }}
-        onTouchStart={(e) => { const rect = e.currentTarget.getBoundingClientRect(); ringScrub(e, rect.left + rect.width / 2, rect.top + rect.height / 2, true); }}
-      >
-        {ticks.map(i => {
-          const a = (i / 60) * 2 * Math.PI;
-          const x1 = cx + Math.cos(a) * r;
-          const y1 = cy + Math.sin(a) * r;
-          const x2 = cx + Math.cos(a) * (r - (i % 5 === 0 ? 12 : 7));
-          const y2 = cy + Math.sin(a) * (r - (i % 5 === 0 ? 12 : 7));
-          return <line key={i} x1={x1} y1={y1} x2={x2} y2={y2} stroke={`rgba(255,255,255,${i % 5 === 0 ? 0.6 : 0.3})`} strokeWidth={i % 5 === 0 ? 2 : 1} />;
-        })}
-        <circle cx={cx} cy={cy} r={r - 16} className="fill-none stroke-white/20" strokeWidth="10" />
-        <circle
-          cx={cx} cy={cy} r={r - 16}
-          className="fill-none"
-          stroke="white" strokeWidth="10"
-          strokeDasharray={`${dash} ${c}`} transform={`rotate(-90 ${cx} ${cy})`} strokeLinecap="round"
-          style={{ filter: "drop-shadow(0 0 6px rgba(255,255,255,0.6))" }}
-        />
-      </svg>
+  /* ---------- body by design ---------- */
+  const renderBody = () => {
+    const Design = designDef.component;
+    const vis = (
+      <Design
+        frac={frac}
+        running={activeRunning}
+        // while the time is being edited designs follow the edit, so dragging a face moves it
+        remainingMs={isStopwatch ? swElapsedMs : editing && !running ? bufToMs(displayBuf) : remainingMs}
+        digits={displayBuf}
+        options={designOptions(designDef, designOpts[designDef.id])}
+        scrub={designScrub}
+      />
     );
-  };
-
-  /* Bar mode — timer ABOVE bar */
-  const Bar = () => (
-    <div className="w-full max-w-3xl" onMouseDown={scrubBar} onTouchStart={scrubBar}>
-      <div className="agari-bar h-4 w-full rounded-full bg-white/20 overflow-hidden">
-        <div className="h-full rounded-full bg-white/80 transition-[width] duration-100 ease-linear" style={{ width: `${frac * 100}%` }} />
-      </div>
-    </div>
-  );
-
-  /* Waveform — wider + shorter + clearer stripes */
-  const Wave = () => {
-    const speed = waveMood === "lively" ? 20 : 40;
-    return (
-      <div className="relative w-full max-w-6xl h-44 sm:h-48 overflow-hidden">
-        <div
-          className="absolute inset-0 opacity-80"
-          style={{
-            background: "repeating-linear-gradient(to right, rgba(255,255,255,0.32) 0 2px, transparent 2px 8px)",
-            animation: `waveScroll ${speed}s linear infinite`,
-            backgroundSize: "200% 100%",
-          }}
-        />
-        <div className="absolute inset-0 flex items-center justify-center">
-          <div className="text-white/95 font-sans tabular-nums font-semibold tracking-widest text-6xl sm:text-7xl drop-shadow-lg">
-            {`${H1}${H2}:${M1}${M2}:${S1}${S2}`}
-          </div>
-        </div>
-        <div className="absolute bottom-3 left-6 right-6 h-1 bg-white/25 rounded-full overflow-hidden">
-          <div className="h-full bg-white/80 transition-[width] duration-100 ease-linear" style={{ width: `${frac * 100}%` }} />
+    // designs that draw their own digits get the slider/timer semantics on a wrapper
+    if (designDef.timeBox === "none") {
+      return (
+        <div className="flex flex-col items-center gap-2">
+          <div tabIndex={0} {...timeA11y} className="rounded-2xl">{vis}</div>
+          {renderScaleToggle()}
         </div>
-      </div>
-    );
-  };
-
-  /* Hourglass (unchanged visuals) */
-  const Sandglass = () => {
-    const size = 320;
-    const topFrac = frac, botFrac = 1 - frac;
-    const runningStream = running && frac > 0;
-    const w = 100, h = 140;
-    const neckY1 = 68, neckY2 = 72;
-    const glassStroke = "rgba(255,255,255,0.55)";
-    const outline = `
-      M 20 20 C 40 20, 60 20, 80 20 C 68 36, 60 50, 52 64
-      C 51 66, 49 66, 48 64 C 40 50, 32 36, 20 20
-      M 20 120 C 32 104, 40 90, 48 76
-      C 49 74, 51 74, 52 76 C 60 90, 68 104, 80 120
-      C 60 120, 40 120, 20 120
-    `;
-    const pileHeight = 6 + botFrac * 10;
-    const pilePath = `
-      M 22 ${120 - pileHeight}
-      Q 50 ${124 + pileHeight * 0.35} 78 ${120 - pileHeight}
-      L 78 120 L 22 120 Z
-    `;
+      );
+    }
     return (
-      <svg width={size} height={size} viewBox={`0 0 ${w} ${h}`} className="drop-shadow-md">
-        <ellipse cx="50" cy="130" rx="26" ry="5" fill="rgba(0,0,0,0.08)" />
-        <path d={outline} fill="none" stroke={glassStroke} strokeWidth="2" strokeLinejoin="round" />
-        <path d="M26 24 C 44 24, 56 24, 74 24" stroke="rgba(255,255,255,0.35)" strokeWidth="1.2" fill="none" />
-        <path d="M26 116 C 44 116, 56 116, 74 116" stroke="rgba(255,255,255,0.28)" strokeWidth="1.2" fill="none" />
-        <clipPath id="topBulb"><path d="M 20 20 C 40 20, 60 20, 80 20 C 68 36, 60 50, 52 64 C 51 66, 49 66, 48 64 C 40 50, 32 36, 20 20 Z" /></clipPath>
-        <clipPath id="botBulb"><path d="M 20 120 C 32 104, 40 90, 48 76 C 49 74, 51 74, 52 76 C 60 90, 68 104, 80 120 C 60 120, 40 120, 20 120 Z" /></clipPath>
-        <rect x="20" width="60" y={20 + (44 * (1 - topFrac))} height={44 * topFrac} clipPath="url(#topBulb)" fill="rgba(255,255,255,0.9)" />
-        <rect x="20" width="60" y={120 - 18 * botFrac} height={18 * botFrac} clipPath="url(#botBulb)" fill="rgba(255,255,255,0.85)" />
-        <path d={pilePath} clipPath="url(#botBulb)" fill="rgba(255,255,255,0.95)" />
-        {runningStream && (
-          <g opacity="0.95">
-            <rect x="49" y={neckY1} width="2" height={neckY2 - neckY1} rx="1" fill="white">
-              <animate attributeName="opacity" values="0.9;0.6;0.9" dur="0.6s" repeatCount="indefinite" />
-            </rect>
-            {!sandSimplified && Array.from({ length: 12 }).map((_, i) => (
-              <circle key={i} cx="50" cy={neckY1 + 1} r="0.55" fill="white" opacity="0.9">
-                <animate attributeName="cy" values={`${neckY1 + 1};${neckY2 - 2}`} dur={`${0.45 + (i % 6) * 0.06}s`} repeatCount="indefinite" />
-                <animate attributeName="opacity" values="0.9;0.2" dur={`${0.45 + (i % 6) * 0.06}s`} repeatCount="indefinite" />
-              </circle>
-            ))}
-          </g>
-        )}
-      </svg>
-    );
-  };
-
-  /* ---------- body by design ---------- */
-  const BodyByDesign = () => {
-    if (design === "wave") return <Wave />;
-    if (design === "bar") return (
       <div className="flex flex-col items-center gap-6">
-        <TimeBox /><Bar />
+        {designDef.timeBox === "above" ? <>{renderTimeBox()}{vis}</> : <>{vis}{renderTimeBox()}</>}
+        {renderScaleToggle()}
       </div>
     );
-    const stack = (vis) => (<div className="flex flex-col items-center gap-6">{vis}<TimeBox /></div>);
-    switch (design) {
-      case "ring-ticks": return stack(<RingTicks />);
-      case "sandglass":  return stack(<Sandglass />);
-      default:           return stack(<Ring />);
-    }
   };
 
   /* ---------- layout (pulled up so buttons are always visible) ---------- */
   const [open, setOpen] = useState(false);
 
   return (
-    <div className="agari-gradient relative w-full min-h-screen flex items-start justify-center">
+    <div
+      ref={rootRef}
+      style={themeStyle}
+      className={`agari-gradient agari-focus w-full flex justify-center ${
+        focusMode ? `fixed inset-0 z-50 h-screen items-center ${cursorHidden ? "cursor-none" : ""}` : "relative min-h-screen items-start"
+      }`}
+    >
+      {/* screen reader announcements (always mounted so changes get read) */}
+      <div className="sr-only" aria-live="polite" aria-atomic="true">{politeText}</div>
+      <div className="sr-only" aria-live="assertive" aria-atomic="true">{assertiveText}</div>
+
       {/* top padding reduced; bottom padding trimmed */}
       <div className="w-full flex flex-col items-center gap-6 px-4 pt-10 pb-16">
         {/* tiny subtitle */}
-        <div className="self-start ml-4 text-white/85 text-sm font-medium drop-shadow">Focus Time</div>
+        <div className="self-start ml-4 text-agari/85 text-sm font-medium drop-shadow">{isStopwatch ? "Stopwatch" : "Focus Time"}</div>
 
-        {/* top-right controls */}
-        <div className="absolute top-3 right-3 flex items-center gap-2 text-black">
-          <button onClick={() => setMuted(m => !m)} className="p-2 rounded hover:bg-black/5" title={muted ? "Unmute" : "Mute"}>
-            {muted ? <VolumeX className="text-black" /> : <Volume2 className="text-black" />}
-          </button>
-          <button onClick={() => setOpen(true)} className="p-2 rounded hover:bg-black/5" title="Change layout">
-            <Palette className="text-black" />
+        {/* top-right controls (focus mode keeps only its exit button) */}
+        {focusMode ? (
+          <button
+            onClick={exitFocus}
+            className={`absolute top-3 right-3 p-2 rounded hover:bg-agari-ink/5 transition-opacity ${cursorHidden ? "opacity-0" : "opacity-100"}`}
+            title="Exit focus mode (Esc)"
+          >
+            <Minimize2 className="text-agari-ink" />
           </button>
-        </div>
+        ) : (
+          <div className="absolute top-3 right-3 flex items-center gap-2 text-agari-ink">
+            <button onClick={enterFocus} className="p-2 rounded hover:bg-agari-ink/5" title={withKey("Focus mode", "timer.focus")}>
+              <Maximize2 className="text-agari-ink" />
+            </button>
+            <button onClick={() => setMuted(m => !m)} className="p-2 rounded hover:bg-agari-ink/5" title={muted ? "Unmute" : "Mute"}>
+              {muted ? <VolumeX className="text-agari-ink" /> : <Volume2 className="text-agari-ink" />}
+            </button>
+            <button onClick={toggleMode} className="p-2 rounded hover:bg-agari-ink/5" title={isStopwatch ? "Switch to countdown" : "Switch to stopwatch"}>
+              {isStopwatch ? <Hourglass className="text-agari-ink" /> : <Timer className="text-agari-ink" />}
+            </button>
+            {pipSupported() && (
+              <button onClick={togglePip} className="p-2 rounded hover:bg-agari-ink/5" title={pipWin ? "Close floating timer" : "Pop out timer"}>
+                <PictureInPicture2 className="text-agari-ink" />
+              </button>
+            )}
+            <button onClick={() => setStatsOpen(true)} className="p-2 rounded hover:bg-agari-ink/5" title="Focus history">
+              <BarChart3 className="text-agari-ink" />
+            </button>
+            <button onClick={() => setOpen(true)} className="p-2 rounded hover:bg-agari-ink/5" title="Change layout">
+              <Palette className="text-agari-ink" />
+            </button>
+          </div>
+        )}
+
+        {/* focus mode overlays: current planner block + now playing */}
+        {focusMode && plannerBlock && (
+          <div className="absolute bottom-4 left-4 max-w-xs px-4 py-2 rounded-xl bg-white/20 backdrop-blur-md border border-white/30 text-agari-ink text-sm">
+            <div className="text-[11px] text-agari-ink/60">{plannerBlock.range}</div>
+            {plannerBlock.tasks.length ? (
+              <div className="truncate font-medium">{plannerBlock.tasks.join(", ")}</div>
+            ) : (
+              <div className="text-agari-ink/50">No tasks planned</div>
+            )}
+          </div>
+        )}
+        {focusMode && nowPlaying && (
+          <div className="absolute bottom-4 right-4 max-w-xs flex items-center gap-3 px-3 py-2 rounded-xl bg-white/20 backdrop-blur-md border border-white/30 text-agari-ink text-sm">
+            {nowPlaying.thumb ? <img src={nowPlaying.thumb} alt="" className="w-9 h-9 rounded object-cover" /> : <Music size={18} />}
+            <div className="min-w-0">
+              <div className="truncate font-medium">{nowPlaying.title}</div>
+              <div className="truncate text-[11px] text-agari-ink/60">{nowPlaying.playing ? nowPlaying.channel : "Paused"}</div>
+            </div>
+          </div>
+        )}
+
+        {/* sequence step */}
+        {runStep && !isStopwatch && (
+          <div className="-mb-2 px-3 py-1 rounded-full bg-white/15 border border-white/25 text-agari text-sm font-medium drop-shadow">
+            {runSeq.name}: step {seqRun.step + 1} of {runSteps.length} — {runStep.label || "Step"}
+          </div>
+        )}
+
+        {/* cycle phase + round */}
+        {cycleOn && !isStopwatch && !runStep && (
+          <div className="-mb-2 px-3 py-1 rounded-full bg-white/15 border border-white/25 text-agari text-sm font-medium drop-shadow">
+            {PHASES[cycleProg.phase].label} · Round {cycleProg.round}/{cycleCfg.rounds}
+          </div>
+        )}
 
         {/* center stack */}
-        <BodyByDesign />
+        {renderBody()}
 
-        {/* Actions row */}
-        <div className="mt-2 flex w-full max-w-2xl sm:max-w-3xl gap-3 justify-center">
-          {ended ? (
+        {/* preset chips (Alt+1..9) */}
+        {!isStopwatch && !running && !ended && (
+          <div className="-mt-2 flex flex-wrap items-center justify-center gap-2 max-w-2xl">
+            {presets.map((p, i) => (
+              <button
+                key={p.id}
+                onClick={() => launchPreset(p)}
+                className="px-3 py-1 rounded-full bg-white/15 hover:bg-white/25 border border-white/25 text-agari text-sm font-medium"
+                title={i < 9 ? withKey(`Start "${p.name}"`, `timer.preset${i + 1}`) : `Start "${p.name}"`}
+              >
+                {p.name}<span className="text-agari/70"> · {fmtCountdown(p.ms)}</span>
+              </button>
+            ))}
             <button
-              onClick={onStopAlarm}
-              className="flex-[1.2] inline-flex items-center justify-center gap-2 rounded-full bg-black text-white hover:bg-black/90 font-semibold py-3.5 sm:py-4 px-7"
-              aria-live="assertive"
+              onClick={savePreset}
+              className="px-3 py-1 rounded-full bg-white/10 hover:bg-white/20 border border-dashed border-white/40 text-agari text-sm"
+              title="Save the current time, design and sound as a preset"
             >
-              Stop
+              + Preset
             </button>
+          </div>
+        )}
+
+        {/* typed duration / clock-time command */}
+        {!isStopwatch && !running && (
+          <form onSubmit={applyCommand} className="w-full max-w-xs -mt-2">
+            <input
+              value={cmd}
+              onChange={(e) => { setCmd(e.target.value); setCmdErr(false); }}
+              placeholder='Type "25m", "1h 15" or "until 3:30pm"'
+              title="Enter sets the time; “until …” starts right away"
+              aria-label="Set time by typing a duration or a clock time"
+              className={`w-full px-4 py-1.5 rounded-full bg-white/15 border text-sm text-agari placeholder-agari/60 text-center focus:bg-white/25 ${
+                cmdErr ? "border-red-400" : "border-white/25"
+              }`}
+              enterKeyHint="done"
+            />
+          </form>
+        )}
+
+        {/* Actions row */}
+        <div className="mt-2 flex w-full max-w-2xl sm:max-w-3xl gap-3 justify-center">
+          {ended ? (
+            <>
+              <button
+                onClick={onStopAlarm}
+                className="flex-[1.2] inline-flex items-center justify-center gap-2 rounded-full bg-agari-ink text-agari-base hover:bg-agari-ink/90 font-semibold py-3.5 sm:py-4 px-7"
+              >
+                Stop
+              </button>
+              <button
+                onClick={() => snooze()}
+                className="flex-1 inline-flex items-center justify-center gap-2 rounded-full bg-white/20 hover:bg-white/30 border border-white/30 text-agari-ink font-semibold py-3.5 sm:py-4 px-6"
+                title={withKey("Snooze", "timer.snooze")}
+              >
+                <AlarmClock size={18} className="text-agari-ink" />
+                <span>Snooze {SNOOZE_MS / 60000} min</span>
+              </button>
+            </>
+          ) : isStopwatch ? (
+            <>
+              <button
+                onClick={() => (sw.running ? swPause() : swStart())}
+                className="flex-[1.2] inline-flex items-center justify-center gap-2 rounded-full bg-white/20 hover:bg-white/30 border border-white/30 text-agari-ink font-semibold py-3.5 sm:py-4 px-7"
+              >
+                {sw.running ? (<><Pause size={18} className="text-agari-ink" /><span>Pause</span></>) :
+                              (<><Play size={18} className="text-agari-ink" /><span>{sw.elapsedMs ? "Resume" : "Start"}</span></>)}
+              </button>
+              <button
+                onClick={swLap}
+                disabled={!sw.running}
+                className="flex-1 inline-flex items-center justify-center gap-2 rounded-full bg-white/10 hover:bg-white/20 border border-white/25 text-agari-ink font-semibold py-3.5 sm:py-4 px-6 disabled:opacity-50"
+                title={withKey("Lap", "timer.swLap")}
+              >
+                <Flag size={18} className="text-agari-ink" />
+                <span>Lap</span>
+              </button>
+            </>
           ) : (
             <button
               onClick={() => (running ? onPause() : startFromCurrent())}
-              className="flex-[1.2] inline-flex items-center justify-center gap-2 rounded-full bg-white/20 hover:bg-white/30 border border-white/30 text-black font-semibold py-3.5 sm:py-4 px-7"
+              className="flex-[1.2] inline-flex items-center justify-center gap-2 rounded-full bg-white/20 hover:bg-white/30 border border-white/30 text-agari-ink font-semibold py-3.5 sm:py-4 px-7"
             >
-              {running ? (<><Pause size={18} className="text-black" /><span>Pause</span></>) :
-                          (<><Play size={18} className="text-black" /><span>Start</span></>)}
+              {running ? (<><Pause size={18} className="text-agari-ink" /><span>Pause</span></>) :
+                          (<><Play size={18} className="text-agari-ink" /><span>Start</span></>)}
             </button>
           )}
 
           <button
-            onClick={onReset}
-            className="flex-1 inline-flex items-center justify-center gap-2 rounded-full bg-white/10 hover:bg-white/20 border border-white/25 text-black font-semibold py-3.5 sm:py-4 px-6"
+            onClick={isStopwatch ? swReset : onReset}
+            className="flex-1 inline-flex items-center justify-center gap-2 rounded-full bg-white/10 hover:bg-white/20 border border-white/25 text-agari-ink font-semibold py-3.5 sm:py-4 px-6"
           >
-            <RotateCcw size={18} className="text-black" />
+            <RotateCcw size={18} className="text-agari-ink" />
             <span>Reset</span>
           </button>
         </div>
+
+        {/* Extend chips (running or paused countdown) */}
+        {!isStopwatch && !ended && (running || (session && !editing)) && (
+          <div className="-mt-2 flex items-center gap-2">
+            {EXTEND_OPTIONS.map((opt, i) => (
+              <button
+                key={opt.ms}
+                onClick={() => extendBy(opt.ms)}
+                className="px-3 py-1 rounded-full bg-white/15 hover:bg-white/25 border border-white/25 text-agari text-sm font-medium"
+                title={withKey(`Add ${opt.label.slice(1)}`, i === 0 ? "timer.extend1" : "timer.extend5")}
+              >
+                {opt.label}
+              </button>
+            ))}
+            <button
+              onClick={extendCustom}
+              className="px-3 py-1 rounded-full bg-white/15 hover:bg-white/25 border border-white/25 text-agari text-sm font-medium"
+              title="Add a custom amount"
+            >
+              +…
+            </button>
+          </div>
+        )}
+
+        {/* other timers (compact rows, promotable) */}
+        <TimerRows
+          timers={sideTimers}
+          now={now}
+          onAdd={addSideTimer}
+          onToggle={toggleSideTimer}
+          onReset={(id) => patchSide(id, resetTimer)}
+          onPromote={promoteSideTimer}
+          onRemove={(id) => setSideTimers(list => list.filter(t => t.id !== id))}
+          onStop={(id) => patchSide(id, resetTimer)}
+          canPromote={!ended}
+        />
+
+        {/* Lap list (newest first) */}
+        {isStopwatch && sw.laps.length > 0 && (
+          <ol className="w-full max-w-md max-h-48 overflow-y-auto rounded-2xl bg-white/10 border border-white/20 backdrop-blur-md text-agari text-sm tabular-nums divide-y divide-white/15">
+            {sw.laps.map((lap, i) => ({ ...lap, n: i + 1 })).reverse().map(lap => (
+              <li key={lap.n} className="flex items-center justify-between px-4 py-1.5">
+                <span className="opacity-80">Lap {lap.n}</span>
+                <span>+{fmtLap(lap.splitMs)}</span>
+                <span className="font-medium">{fmtLap(lap.totalMs)}</span>
+              </li>
+            ))}
+          </ol>
+        )}
       </div>
 
+      {/* stats overlay */}
+      <AnimatePresence>
+        {statsOpen && (
+          <motion.div
+            initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+            className="absolute inset-0 z-10 flex items-start justify-center pt-16 bg-black/30"
+            onClick={() => setStatsOpen(false)}
+          >
+            <div onClick={(e) => e.stopPropagation()}>
+              <TimerStats sessions={history} onClose={() => setStatsOpen(false)} onClear={() => setHistory([])} />
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* drawer backdrop */}
       <AnimatePresence>
         {open && (
@@ -578,30 +1454,35 @@ export default function TimerCard() {
           <motion.div
             initial={{ x: 400 }} animate={{ x: 0 }} exit={{ x: 400 }}
             transition={{ type: "spring", stiffness: 280, damping: 30 }}
-            className="absolute right-0 top-0 h-full w-[min(92vw,380px)] bg-white/20 backdrop-blur-2xl border-l border-white/30 text-black p-5"
+            className="absolute right-0 top-0 h-full w-[min(92vw,380px)] overflow-y-auto bg-white/20 backdrop-blur-2xl border-l border-white/30 text-agari-ink p-5"
             onClick={(e) => e.stopPropagation()}
           >
             <div className="flex items-center justify-between mb-4">
               <h3 className="font-semibold">Change Layout</h3>
-              <button className="p-2 rounded hover:bg-black/5" onClick={() => setOpen(false)}><X className="text-black" /></button>
+              <button className="p-2 rounded hover:bg-agari-ink/5" onClick={() => setOpen(false)}><X className="text-agari-ink" /></button>
             </div>
 
             <div className="space-y-5">
               <div>
-                <div className="text-sm mb-2 text-black/70">Timer Design</div>
+                <div className="text-sm mb-2 text-agari-ink/70">Theme</div>
+                <ThemeEditor
+                  theme={theme}
+                  onChange={setTheme}
+                  saved={savedThemes}
+                  onSave={(t) => setSavedThemes(list => [...list, t])}
+                  onDelete={(id) => setSavedThemes(list => list.filter(t => t.id !== id))}
+                />
+              </div>
+
+              <div>
+                <div className="text-sm mb-2 text-agari-ink/70">Timer Design</div>
                 <div className="flex flex-col gap-2">
-                  {[
-                    { id: "ring", label: "Ring" },
-                    { id: "ring-ticks", label: "Ring + Ticks" },
-                    { id: "bar", label: "Bar" },
-                    { id: "wave", label: "Waveform" },
-                    { id: "sandglass", label: "Sandglass" },
-                  ].map(opt => (
+                  {listDesigns().map(opt => (
                     <button
                       key={opt.id}
                       onClick={() => setDesign(opt.id)}
                       className={`w-full text-left px-3 py-2 rounded-lg border ${
-                        design === opt.id ? "bg-black/5 border-black/40" : "bg-white/30 hover:bg-white/40 border-black/20"
+                        designDef.id === opt.id ? "bg-agari-ink/5 border-agari-ink/40" : "bg-white/30 hover:bg-white/40 border-agari-ink/20"
                       }`}
                     >
                       {opt.label}
@@ -610,48 +1491,244 @@ export default function TimerCard() {
                 </div>
               </div>
 
-              {design === "wave" && (
-                <div>
-                  <div className="mb-2 text-sm text-black/70">Wave mood</div>
-                  <div className="flex flex-col gap-2">
-                    {["calm", "lively"].map(m => (
-                      <button
-                        key={m}
-                        onClick={() => setWaveMood(m)}
-                        className={`w-full text-left px-3 py-2 rounded-lg border ${
-                          waveMood === m ? "bg-black/5 border-black/40" : "bg-white/30 hover:bg-white/40 border-black/20"
-                        }`}
-                      >
-                        {m[0].toUpperCase() + m.slice(1)}
-                      </button>
-                    ))}
+              {/* options declared by the selected design */}
+              {designDef.options.map(o => {
+                const value = designOptions(designDef, designOpts[designDef.id])[o.key];
+                return o.type === "choice" ? (
+                  <div key={o.key}>
+                    <div className="mb-2 text-sm text-agari-ink/70">{o.label}</div>
+                    <div className="flex flex-col gap-2">
+                      {o.choices.map(c => (
+                        <button
+                          key={c.id}
+                          onClick={() => setDesignOpt(o.key, c.id)}
+                          className={`w-full text-left px-3 py-2 rounded-lg border ${
+                            value === c.id ? "bg-agari-ink/5 border-agari-ink/40" : "bg-white/30 hover:bg-white/40 border-agari-ink/20"
+                          }`}
+                        >
+                          {c.label}
+                        </button>
+                      ))}
+                    </div>
                   </div>
-                </div>
-              )}
+                ) : (
+                  <div key={o.key} className="space-y-2">
+                    <div className="text-sm text-agari-ink/70">{o.label}</div>
+                    <label className="inline-flex items-center gap-2 cursor-pointer">
+                      <input type="checkbox" className="accent-black" checked={!!value} onChange={e => setDesignOpt(o.key, e.target.checked)} />
+                      <span className="text-sm">{o.hint}</span>
+                    </label>
+                  </div>
+                );
+              })}
 
-              {design === "sandglass" && (
+              {designDef.stopwatchFlip && isStopwatch && (
                 <div className="space-y-2">
-                  <div className="text-sm text-black/70">Simplified mode</div>
-                  <label className="inline-flex items-center gap-2 cursor-pointer">
-                    <input type="checkbox" className="accent-black" checked={sandSimplified} onChange={e => setSandSimplified(e.target.checked)} />
-                    <span className="text-sm">Turn off falling grains (performance)</span>
+                  <div className="text-sm text-agari-ink/70">Stopwatch flip interval</div>
+                  <label className="flex items-center gap-2 text-sm">
+                    <span>Flip every</span>
+                    <input
+                      type="number" min={1} max={60}
+                      className="w-16 px-2 py-1 rounded-lg border border-agari-ink/20 bg-white/40 text-sm text-agari-ink"
+                      value={swSandMin}
+                      onChange={e => setSwSandMin(clamp(Math.round(Number(e.target.value) || 1), 1, 60))}
+                    />
+                    <span>min</span>
                   </label>
                 </div>
               )}
 
-              {design === "bar" && (
-                <div className="space-y-2">
-                  <div className="text-sm text-black/70">Bar options</div>
-                  <label className="inline-flex items-center gap-2 cursor-pointer">
-                    <input type="checkbox" className="accent-black" checked={barCentered} onChange={e => setBarCentered(e.target.checked)} />
-                    <span className="text-sm">Center time inside bar (auto on for small screens)</span>
+              <div className="space-y-2">
+                <div className="text-sm text-agari-ink/70">Alarm sound</div>
+                <div className="flex flex-col gap-1.5">
+                  {[...SYNTH_SOUNDS, ...customSounds.map(c => ({ id: CUSTOM_PREFIX + c.id, label: c.name, customId: c.id }))].map(opt => (
+                    <div key={opt.id} className="flex items-center gap-1">
+                      <button
+                        onClick={() => setAlarmCfg(c => ({ ...c, sound: opt.id }))}
+                        className={`flex-1 min-w-0 truncate text-left px-3 py-1.5 rounded-lg border text-sm ${
+                          alarmCfg.sound === opt.id ? "bg-agari-ink/5 border-agari-ink/40" : "bg-white/30 hover:bg-white/40 border-agari-ink/20"
+                        }`}
+                      >
+                        {opt.label}
+                      </button>
+                      {opt.customId && (
+                        <button className="px-2 py-1 text-xs rounded hover:bg-agari-ink/5 text-red-600" title="Delete sound" onClick={() => deleteSound(opt.customId)}>✕</button>
+                      )}
+                    </div>
+                  ))}
+                  <label className="px-3 py-1.5 rounded-lg border border-dashed border-agari-ink/30 text-sm text-agari-ink/70 cursor-pointer hover:bg-white/30">
+                    Upload audio file…
+                    <input type="file" accept="audio/*" className="hidden" onChange={e => { uploadSound(e.target.files?.[0]); e.target.value = ""; }} />
                   </label>
                 </div>
-              )}
+                <label className="flex items-center gap-2 text-sm">
+                  <span className="w-20 text-agari-ink/70">Length</span>
+                  <input
+                    type="range" min={2} max={60} className="flex-1 accent-black"
+                    value={alarmCfg.lengthSec} disabled={alarmCfg.repeat}
+                    onChange={e => setAlarmCfg(c => ({ ...c, lengthSec: Number(e.target.value) }))}
+                  />
+                  <span className="w-10 text-right tabular-nums">{alarmCfg.lengthSec}s</span>
+                </label>
+                <label className="flex items-center gap-2 text-sm">
+                  <span className="w-20 text-agari-ink/70">Volume</span>
+                  <input
+                    type="range" min={0} max={100} className="flex-1 accent-black"
+                    value={Math.round(alarmCfg.volume * 100)}
+                    onChange={e => setAlarmCfg(c => ({ ...c, volume: Number(e.target.value) / 100 }))}
+                  />
+                  <span className="w-10 text-right tabular-nums">{Math.round(alarmCfg.volume * 100)}</span>
+                </label>
+                <label className="flex items-center gap-2 text-sm">
+                  <span className="w-20 text-agari-ink/70">Fade in</span>
+                  <input
+                    type="range" min={0} max={30} className="flex-1 accent-black"
+                    value={alarmCfg.rampSec}
+                    onChange={e => setAlarmCfg(c => ({ ...c, rampSec: Number(e.target.value) }))}
+                  />
+                  <span className="w-10 text-right tabular-nums">{alarmCfg.rampSec ? `${alarmCfg.rampSec}s` : "off"}</span>
+                </label>
+                <label className="inline-flex items-center gap-2 cursor-pointer">
+                  <input type="checkbox" className="accent-black" checked={alarmCfg.repeat} onChange={e => setAlarmCfg(c => ({ ...c, repeat: e.target.checked }))} />
+                  <span className="text-sm">Repeat until dismissed</span>
+                </label>
+                <div>
+                  <button className="px-3 py-1.5 text-sm rounded-lg border border-agari-ink/20 bg-white/30 hover:bg-white/40" onClick={togglePreview}>
+                    {previewing ? "Stop preview" : "Preview"}
+                  </button>
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <div className="text-sm text-agari-ink/70">Notifications</div>
+                <label className="inline-flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox" className="accent-black"
+                    checked={notifyOn} disabled={notifyPerm === "unsupported"}
+                    onChange={e => toggleNotify(e.target.checked)}
+                  />
+                  <span className="text-sm">System notification when a timer or planner block ends</span>
+                </label>
+                {notifyOn && notifyPerm === "denied" && (
+                  <div className="text-xs text-agari-ink/60">Blocked in browser settings — the in-page chime is used instead.</div>
+                )}
+                {notifyPerm === "unsupported" && (
+                  <div className="text-xs text-agari-ink/60">Not supported in this browser — the in-page chime is used instead.</div>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                <div className="text-sm text-agari-ink/70">Cycle mode</div>
+                <label className="inline-flex items-center gap-2 cursor-pointer">
+                  <input type="checkbox" className="accent-black" checked={cycleOn} onChange={e => toggleCycle(e.target.checked)} />
+                  <span className="text-sm">Pomodoro: chain focus and break phases</span>
+                </label>
+                {cycleOn && (
+                  <div className="grid grid-cols-2 gap-2">
+                    {[
+                      { key: "workMin", label: "Focus (min)" },
+                      { key: "shortMin", label: "Short break (min)" },
+                      { key: "longMin", label: "Long break (min)" },
+                      { key: "rounds", label: "Rounds before long" },
+                    ].map(f => (
+                      <label key={f.key} className="flex flex-col gap-1 text-xs text-agari-ink/70">
+                        {f.label}
+                        <input
+                          type="number" min={1}
+                          className="px-2 py-1 rounded-lg border border-agari-ink/20 bg-white/40 text-sm text-agari-ink"
+                          value={cycleCfg[f.key]}
+                          onChange={e => updateCycleCfg(f.key, e.target.value)}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                <div className="text-sm text-agari-ink/70">Presets</div>
+                {presets.length === 0 ? (
+                  <div className="text-sm text-agari-ink/50">No presets yet. Use “+ Preset” under the timer to save one.</div>
+                ) : (
+                  <div className="flex flex-col gap-2">
+                    {presets.map((p, i) => (
+                      <div key={p.id} className="flex items-center gap-2 px-3 py-2 rounded-lg border bg-white/30 border-agari-ink/20">
+                        <div className="min-w-0 flex-1">
+                          <div className="truncate text-sm">{p.name}</div>
+                          <div className="text-[11px] text-agari-ink/60">
+                            {fmtCountdown(p.ms)} · {getDesign(p.design).label}{i < 9 && shortcutLabel(`timer.preset${i + 1}`) ? ` · ${shortcutLabel(`timer.preset${i + 1}`)}` : ""}
+                          </div>
+                        </div>
+                        <button className="p-1 rounded hover:bg-agari-ink/5 disabled:opacity-30" title="Move up" disabled={i === 0} onClick={() => movePreset(p.id, -1)}><ChevronUp size={16} /></button>
+                        <button className="p-1 rounded hover:bg-agari-ink/5 disabled:opacity-30" title="Move down" disabled={i === presets.length - 1} onClick={() => movePreset(p.id, 1)}><ChevronDown size={16} /></button>
+                        <button className="px-2 py-1 text-xs rounded hover:bg-agari-ink/5 text-red-600" onClick={() => deletePreset(p.id)}>Delete</button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <div className="text-sm text-agari-ink/70">Sequences</div>
+                  {!seqEditing && (
+                    <button className="px-2 py-1 text-xs rounded-lg border border-agari-ink/20 bg-white/30 hover:bg-white/40" onClick={() => setSeqEditing("new")}>
+                      + New
+                    </button>
+                  )}
+                </div>
+                {seqEditing ? (
+                  <SequenceEditor
+                    value={seqEditing === "new" ? null : seqEditing}
+                    onSave={saveSequence}
+                    onCancel={() => setSeqEditing(null)}
+                  />
+                ) : (
+                  <div className="flex flex-col gap-2">
+                    {sequences.length === 0 && <div className="text-sm text-agari-ink/50">No sequences yet.</div>}
+                    {sequences.map(q => (
+                      <div
+                        key={q.id}
+                        className={`flex items-center gap-2 px-3 py-2 rounded-lg border ${
+                          seqRun?.id === q.id ? "bg-agari-ink/5 border-agari-ink/40" : "bg-white/30 border-agari-ink/20"
+                        }`}
+                      >
+                        <div className="min-w-0 flex-1">
+                          <div className="truncate text-sm">{q.name}</div>
+                          <div className="text-[11px] text-agari-ink/60">
+                            {flattenSequence(q).length} steps · {fmtMinSec(sequenceTotalSec(q))}
+                          </div>
+                        </div>
+                        <button className="p-1.5 rounded hover:bg-agari-ink/5" title="Run" onClick={() => runSequence(q)}><Play size={16} /></button>
+                        <button className="px-2 py-1 text-xs rounded hover:bg-agari-ink/5" onClick={() => setSeqEditing(q)}>Edit</button>
+                        <button className="px-2 py-1 text-xs rounded hover:bg-agari-ink/5 text-red-600" onClick={() => deleteSequence(q.id)}>Delete</button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
             </div>
           </motion.div>
         )}
       </AnimatePresence>
+
+      {/* floating window: same state, rendered into the other document */}
+      {pipWin && createPortal(
+        <PipTimer
+          style={themeStyle}
+          variant={designDef.pip}
+          frac={frac}
+          text={displayText}
+          label={isStopwatch ? "Stopwatch" : tabLabel}
+          running={activeRunning}
+          ended={ended}
+          canStart={isStopwatch || (editing ? bufToMs(buf) : targetMs) > 0}
+          onToggle={isStopwatch ? (sw.running ? swPause : swStart) : (running ? onPause : startFromCurrent)}
+          onReset={isStopwatch ? swReset : onReset}
+          onStop={onStopAlarm}
+        />,
+        pipWin.document.body
+      )}
     </div>
   );
 }
@@ -0,0 +1,244 @@
+/**
+ * TimerDesigns — renderers for the timer visualizations (registered in designRegistry)
+ * - Every design gets the same props:
+ *   { frac, running, remainingMs, digits, options, scrub }
+ *   frac: 0..1 fill · digits: "DDDHHMMSS" as shown · options: this design's saved options
+ *   remainingMs: time left (stopwatch: elapsed); while editing, the value being typed or dragged
+ *   scrub.angle(e, rect, { spanSec?, ccw? }) / scrub.linear(e, rect, vertical?) map a pointer to a time
+ * - Designs are plain components at module level, so they keep their DOM between frames
+ * - Colors come from the theme's CSS variables (tailwind `agari` colors); Wave and Sandglass use its accent
+ */
+
+// days only once there are any: "HH:MM:SS" / "D:HH:MM:SS"
+const dayCount = (d) => Number(d.slice(0, 3));
+const fmtDigits = (d) => `${dayCount(d) ? `${dayCount(d)}:` : ""}${d.slice(3, 5)}:${d.slice(5, 7)}:${d.slice(7, 9)}`;
+
+// press on an svg → angle scrub around its center
+const angleHandlers = (scrub, opts) => ({
+  onMouseDown: (e) => scrub.angle(e, e.currentTarget.getBoundingClientRect(), opts),
+  onTouchStart: (e) => scrub.angle(e, e.currentTarget.getBoundingClientRect(), opts),
+});
+
+/* ---------- ring ---------- */
+export function Ring({ frac, scrub }) {
+  const r = 118, c = 2 * Math.PI * r, dash = c * frac;
+  const svgSize = 300, view = 280, cx = 140, cy = 140;
+  const angle = -Math.PI / 2 + (1 - frac) * 2 * Math.PI;
+  const hx = cx + Math.cos(angle) * r, hy = cy + Math.sin(angle) * r;
+  return (
+    <svg width={svgSize} height={svgSize} viewBox={`0 0 ${view} ${view}`} className="drop-shadow-md touch-none" {...angleHandlers(scrub)}>
+      <circle cx={cx} cy={cy} r={r} className="fill-none stroke-white/25" strokeWidth="10" />
+      <circle
+        cx={cx} cy={cy} r={r}
+        className="fill-none"
+        stroke="white" strokeOpacity="0.9"
+        strokeWidth="10" strokeLinecap="round"
+        strokeDasharray={`${dash} ${c}`} transform={`rotate(-90 ${cx} ${cy})`}
+        style={{ filter: "drop-shadow(0 0 6px rgba(255,255,255,0.6))" }}
+      />
+      <circle cx={hx} cy={hy} r="4.5" fill="white" opacity="0.95" />
+    </svg>
+  );
+}
+
+export function RingTicks({ frac, scrub }) {
+  const r = 125, c = 2 * Math.PI * r, dash = c * frac;
+  const svgSize = 320, view = 300, cx = 150, cy = 150;
+  const ticks = Array.from({ length: 60 }, (_, i) => i);
+  return (
+    <svg width={svgSize} height={svgSize} viewBox={`0 0 ${view} ${view}`} className="drop-shadow-md touch-none" {...angleHandlers(scrub)}>
+      {ticks.map(i => {
+        const a = (i / 60) * 2 * Math.PI;
+        const x1 = cx + Math.cos(a) * r;
+        const y1 = cy + Math.sin(a) * r;
+        const x2 = cx + Math.cos(a) * (r - (i % 5 === 0 ? 12 : 7));
+        const y2 = cy + Math.sin(a) * (r - (i % 5 === 0 ? 12 : 7));
+        return <line key={i} x1={x1} y1={y1} x2={x2} y2={y2} stroke={`rgba(255,255,255,${i % 5 === 0 ? 0.6 : 0.3})`} strokeWidth={i % 5 === 0 ? 2 : 1} />;
+      })}
+      <circle cx={cx} cy={cy} r={r - 16} className="fill-none stroke-white/20" strokeWidth="10" />
+      <circle
+        cx={cx} cy={cy} r={r - 16}
+        className="fill-none"
+        stroke="white" strokeWidth="10"
+        strokeDasharray={`${dash} ${c}`} transform={`rotate(-90 ${cx} ${cy})`} strokeLinecap="round"
+        style={{ filter: "drop-shadow(0 0 6px rgba(255,255,255,0.6))" }}
+      />
+    </svg>
+  );
+}
+
+/* ---------- bar (time box sits above) ---------- */
+export function Bar({ frac, scrub }) {
+  const onDown = (e) => scrub.linear(e, e.currentTarget.querySelector(".agari-bar").getBoundingClientRect());
+  return (
+    <div className="w-full max-w-3xl" onMouseDown={onDown} onTouchStart={onDown}>
+      <div className="agari-bar h-4 w-full rounded-full bg-white/20 overflow-hidden">
+        <div className="h-full rounded-full bg-white/80 transition-[width] duration-100 ease-linear" style={{ width: `${frac * 100}%` }} />
+      </div>
+    </div>
+  );
+}
+
+/* ---------- waveform — wider + shorter + clearer stripes ---------- */
+export function Wave({ frac, digits, options }) {
+  const speed = options.mood === "lively" ? 20 : 40;
+  return (
+    <div className="relative w-full max-w-6xl h-44 sm:h-48 overflow-hidden">
+      <div
+        className="absolute inset-0 opacity-80"
+        style={{
+          background: "repeating-linear-gradient(to right, rgb(var(--agari-accent) / 0.32) 0 2px, transparent 2px 8px)",
+          animation: `waveScroll ${speed}s linear infinite`,
+          backgroundSize: "200% 100%",
+        }}
+      />
+      <div className="absolute inset-0 flex items-center justify-center">
+        <div className="text-agari/95 font-sans tabular-nums font-semibold tracking-widest text-6xl sm:text-7xl drop-shadow-lg">
+          {fmtDigits(digits)}
+        </div>
+      </div>
+      <div className="absolute bottom-3 left-6 right-6 h-1 bg-agari-accent/25 rounded-full overflow-hidden">
+        <div className="h-full bg-agari-accent/80 transition-[width] duration-100 ease-linear" style={{ width: `${frac * 100}%` }} />
+      </div>
+    </div>
+  );
+}
+
+/* ---------- hourglass ---------- */
+export function Sandglass({ frac, running, options }) {
+  const size = 320;
+  const topFrac = frac, botFrac = 1 - frac;
+  const runningStream = running && frac > 0;
+  const w = 100, h = 140;
+  const neckY1 = 68, neckY2 = 72;
+  const outline = `
+    M 20 20 C 40 20, 60 20, 80 20 C 68 36, 60 50, 52 64
+    C 51 66, 49 66, 48 64 C 40 50, 32 36, 20 20
+    M 20 120 C 32 104, 40 90, 48 76
+    C 49 74, 51 74, 52 76 C 60 90, 68 104, 80 120
+    C 60 120, 40 120, 20 120
+  `;
+  const pileHeight = 6 + botFrac * 10;
+  const pilePath = `
+    M 22 ${120 - pileHeight}
+    Q 50 ${124 + pileHeight * 0.35} 78 ${120 - pileHeight}
+    L 78 120 L 22 120 Z
+  `;
+  return (
+    <svg width={size} height={size} viewBox={`0 0 ${w} ${h}`} className="drop-shadow-md text-agari-accent">
+      <ellipse cx="50" cy="130" rx="26" ry="5" fill="rgba(0,0,0,0.08)" />
+      <path d={outline} fill="none" stroke="currentColor" strokeOpacity="0.55" strokeWidth="2" strokeLinejoin="round" />
+      <path d="M26 24 C 44 24, 56 24, 74 24" stroke="currentColor" strokeOpacity="0.35" strokeWidth="1.2" fill="none" />
+      <path d="M26 116 C 44 116, 56 116, 74 116" stroke="currentColor" strokeOpacity="0.28" strokeWidth="1.2" fill="none" />
+      <clipPath id="topBulb"><path d="M 20 20 C 40 20, 60 20, 80 20 C 68 36, 60 50, 52 64 C 51 66, 49 66, 48 64 C 40 50, 32 36, 20 20 Z" /></clipPath>
+      <clipPath id="botBulb"><path d="M 20 120 C 32 104, 40 90, 48 76 C 49 74, 51 74, 52 76 C 60 90, 68 104, 80 120 C 60 120, 40 120, 20 120 Z" /></clipPath>
+      <rect x="20" width="60" y={20 + (44 * (1 - topFrac))} height={44 * topFrac} clipPath="url(#topBulb)" fill="currentColor" fillOpacity="0.9" />
+      <rect x="20" width="60" y={120 - 18 * botFrac} height={18 * botFrac} clipPath="url(#botBulb)" fill="currentColor" fillOpacity="0.85" />
+      <path d={pilePath} clipPath="url(#botBulb)" fill="currentColor" fillOpacity="0.95" />
+      {runningStream && (
+        <g opacity="0.95">
+          <rect x="49" y={neckY1} width="2" height={neckY2 - neckY1} rx="1" fill="currentColor">
+            <animate attributeName="opacity" values="0.9;0.6;0.9" dur="0.6s" repeatCount="indefinite" />
+          </rect>
+          {!options.simplified && Array.from({ length: 12 }).map((_, i) => (
+            <circle key={i} cx="50" cy={neckY1 + 1} r="0.55" fill="currentColor" opacity="0.9">
+              <animate attributeName="cy" values={`${neckY1 + 1};${neckY2 - 2}`} dur={`${0.45 + (i % 6) * 0.06}s`} repeatCount="indefinite" />
+              <animate attributeName="opacity" values="0.9;0.2" dur={`${0.45 + (i % 6) * 0.06}s`} repeatCount="indefinite" />
+            </circle>
+          ))}
+        </g>
+      )}
+    </svg>
+  );
+}
+
+/* ---------- flip clock ---------- */
+// each card is keyed by its digit, so a change remounts it and replays the flip animation
+const FlipCard = ({ ch }) => (
+  <span className="relative inline-flex w-[1.1em] h-[1.5em] items-center justify-center rounded-xl bg-black/55 text-white shadow-lg overflow-hidden [perspective:400px]">
+    <span key={ch} className="agari-flip">{ch}</span>
+    <span className="absolute inset-x-0 top-1/2 h-px bg-black/40" />
+  </span>
+);
+
+export function FlipClock({ digits, options }) {
+  const days = dayCount(digits);
+  const groups = [
+    ...(days ? [String(days)] : []),
+    digits.slice(3, 5), digits.slice(5, 7), ...(options.seconds ? [digits.slice(7, 9)] : []),
+  ];
+  return (
+    <div className="flex items-center gap-2 sm:gap-3 font-sans tabular-nums font-semibold text-6xl sm:text-8xl select-none">
+      {groups.map((g, i) => (
+        <div key={i} className="flex items-center gap-1.5 sm:gap-2">
+          {i > 0 && <span className="text-agari/80 drop-shadow pr-1.5 sm:pr-2">:</span>}
+          {[...g].map((ch, j) => <FlipCard key={j} ch={ch} />)}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/* ---------- liquid glass ---------- */
+export function LiquidGlass({ frac, running, options, scrub }) {
+  const w = 160, h = 240, top = 20, bottom = 220;
+  const level = bottom - (bottom - top) * frac;
+  const onDown = (e) => scrub.linear(e, e.currentTarget.getBoundingClientRect(), true);
+  return (
+    <svg width={w} height={h} viewBox={`0 0 ${w} ${h}`} className="drop-shadow-md touch-none" onMouseDown={onDown} onTouchStart={onDown}>
+      <clipPath id="liquidGlass"><rect x="24" y={top} width="112" height={bottom - top} rx="22" /></clipPath>
+      <g clipPath="url(#liquidGlass)">
+        <rect x="0" y={level} width={w} height={h} fill="rgba(255,255,255,0.55)" />
+        {/* surface: a wide sine path slid sideways so the wave rolls */}
+        <path
+          d={`M -160 ${level} q 20 -7 40 0 t 40 0 t 40 0 t 40 0 t 40 0 t 40 0 t 40 0 t 40 0 t 40 0 t 40 0 V ${h} H -160 Z`}
+          fill="rgba(255,255,255,0.75)"
+        >
+          {running && <animateTransform attributeName="transform" type="translate" from="0 0" to="80 0" dur="2.4s" repeatCount="indefinite" />}
+        </path>
+        {options.bubbles && running && frac > 0 && [40, 72, 104].map((x, i) => (
+          <circle key={x} cx={x} cy={bottom} r={2 + i} fill="rgba(255,255,255,0.8)">
+            <animate attributeName="cy" values={`${bottom};${level + 6}`} dur={`${2.2 + i * 0.7}s`} repeatCount="indefinite" />
+            <animate attributeName="opacity" values="0.9;0" dur={`${2.2 + i * 0.7}s`} repeatCount="indefinite" />
+          </circle>
+        ))}
+      </g>
+      <rect x="24" y={top} width="112" height={bottom - top} rx="22" fill="none" stroke="rgba(255,255,255,0.7)" strokeWidth="3" />
+      <path d={`M 40 ${top + 16} V ${bottom - 30}`} stroke="rgba(255,255,255,0.35)" strokeWidth="4" strokeLinecap="round" />
+    </svg>
+  );
+}
+
+/* ---------- Time Timer style pie (60-minute face, red disk shrinks) ---------- */
+const PIE_FACE_MS = 60 * 60 * 1000;
+
+export function PieTimer({ remainingMs, options, scrub }) {
+  const r = 120, cx = 150, cy = 150;
+  // the disk shows remaining minutes on a fixed hour face; longer countdowns show a full disk
+  const f = Math.min(1, remainingMs / PIE_FACE_MS);
+  const a = f * 2 * Math.PI;
+  const ex = cx - Math.sin(a) * r, ey = cy - Math.cos(a) * r; // counter-clockwise from 12, like the real dial
+  const wedge = f >= 1
+    ? <circle cx={cx} cy={cy} r={r} />
+    : f > 0 && <path d={`M ${cx} ${cy} L ${cx} ${cy - r} A ${r} ${r} 0 ${a > Math.PI ? 1 : 0} 0 ${ex} ${ey} Z`} />;
+  const fill = options.color === "white" ? "rgba(255,255,255,0.9)" : "#e23b3b";
+  return (
+    <svg width="300" height="300" viewBox="0 0 300 300" className="drop-shadow-md touch-none" {...angleHandlers(scrub, { spanSec: PIE_FACE_MS / 1000, ccw: true })}>
+      <circle cx={cx} cy={cy} r={r + 14} fill="rgba(255,255,255,0.2)" stroke="rgba(255,255,255,0.5)" strokeWidth="2" />
+      <g fill={fill}>{wedge}</g>
+      {Array.from({ length: 60 }, (_, i) => {
+        const t = (i / 60) * 2 * Math.PI, long = i % 5 === 0;
+        const r1 = r + 12, r2 = r + (long ? 2 : 7);
+        return (
+          <line
+            key={i}
+            x1={cx - Math.sin(t) * r1} y1={cy - Math.cos(t) * r1}
+            x2={cx - Math.sin(t) * r2} y2={cy - Math.cos(t) * r2}
+            stroke={`rgba(255,255,255,${long ? 0.85 : 0.45})`} strokeWidth={long ? 2 : 1}
+          />
+        );
+      })}
+      <circle cx={cx} cy={cy} r="8" fill="rgba(255,255,255,0.9)" />
+    </svg>
+  );
+}
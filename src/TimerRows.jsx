@@ -0,0 +1,98 @@
+import { useState } from "react";
+import { ArrowUpToLine, Pause, Play, Plus, RotateCcw, X } from "lucide-react";
+import { timerLeft } from "./sideTimers";
+import { fmtCountdown, parseDuration } from "./timeParse";
+
+/**
+ * TimerRows — compact rows for the non-primary timers under TimerCard
+ * - Each row: name, time left, thin progress bar, play/pause, reset, promote, remove
+ * - Ended rows turn into a "Done" row with Stop until dismissed
+ * - "+ Timer" opens an inline name + duration form ("10m", "1h 30", "2d 4h")
+ */
+
+const iconBtn = "p-1.5 rounded-full hover:bg-white/20 disabled:opacity-40";
+
+export default function TimerRows({ timers, now, onAdd, onToggle, onReset, onPromote, onRemove, onStop, canPromote = true }) {
+  const [adding, setAdding] = useState(false);
+  const [name, setName] = useState("");
+  const [dur, setDur] = useState("");
+  const [err, setErr] = useState(false);
+
+  const submit = (e) => {
+    e.preventDefault();
+    const ms = parseDuration(dur);
+    if (!ms) { setErr(true); return; }
+    onAdd(name.trim() || "Timer", ms);
+    setName(""); setDur(""); setAdding(false);
+  };
+
+  return (
+    <div className="w-full max-w-md flex flex-col gap-2">
+      {timers.map(t => {
+        const left = timerLeft(t, now);
+        return (
+          <div
+            key={t.id}
+            className={`flex items-center gap-2 px-3 py-2 rounded-xl border text-agari ${
+              t.ended ? "bg-black/60 border-black/40" : "bg-white/15 border-white/25"
+            }`}
+          >
+            <div className="min-w-0 flex-1">
+              <div className="flex items-baseline justify-between gap-2">
+                <span className="truncate text-sm font-medium">{t.name}</span>
+                <span className="tabular-nums text-sm" role="timer" aria-label={`${t.name} time left`}>{t.ended ? "Done" : fmtCountdown(left)}</span>
+              </div>
+              <div className="mt-1 h-1 rounded-full bg-white/20 overflow-hidden">
+                <div className="h-full bg-white/80" style={{ width: `${t.durationMs ? Math.min(1, left / t.durationMs) * 100 : 0}%` }} />
+              </div>
+            </div>
+            {t.ended ? (
+              <button className="px-3 py-1 rounded-full bg-white text-agari-ink text-xs font-semibold" onClick={() => onStop(t.id)}>Stop</button>
+            ) : (
+              <>
+                <button className={iconBtn} title={t.running ? "Pause" : "Start"} onClick={() => onToggle(t.id)} disabled={!t.running && left <= 0}>
+                  {t.running ? <Pause size={16} /> : <Play size={16} />}
+                </button>
+                <button className={iconBtn} title="Reset" onClick={() => onReset(t.id)}><RotateCcw size={16} /></button>
+                <button className={iconBtn} title="Make primary" onClick={() => onPromote(t.id)} disabled={!canPromote}><ArrowUpToLine size={16} /></button>
+              </>
+            )}
+            <button className={iconBtn} title="Remove" onClick={() => onRemove(t.id)}><X size={16} /></button>
+          </div>
+        );
+      })}
+
+      {adding ? (
+        <form onSubmit={submit} className="flex items-center gap-2">
+          <input
+            autoFocus
+            value={name}
+            onChange={e => setName(e.target.value)}
+            placeholder="Name (e.g. Laundry)"
+            aria-label="Timer name"
+            className="flex-1 min-w-0 px-3 py-1.5 rounded-full bg-white/15 border border-white/25 text-sm text-agari placeholder-agari/60 focus:bg-white/25"
+          />
+          <input
+            value={dur}
+            onChange={e => { setDur(e.target.value); setErr(false); }}
+            placeholder="10m"
+            aria-label="Duration"
+            aria-invalid={err}
+            className={`w-20 px-3 py-1.5 rounded-full bg-white/15 border text-sm text-agari placeholder-agari/60 text-center focus:bg-white/25 ${
+              err ? "border-red-400" : "border-white/25"
+            }`}
+          />
+          <button type="submit" className="px-3 py-1.5 rounded-full bg-white/25 hover:bg-white/35 text-sm text-agari font-medium">Add</button>
+          <button type="button" className={iconBtn} title="Cancel" onClick={() => { setAdding(false); setErr(false); }}><X size={16} className="text-agari" /></button>
+        </form>
+      ) : (
+        <button
+          onClick={() => setAdding(true)}
+          className="self-center inline-flex items-center gap-1 px-3 py-1 rounded-full bg-white/10 hover:bg-white/20 border border-dashed border-white/40 text-agari text-sm"
+        >
+          <Plus size={14} /> Timer
+        </button>
+      )}
+    </div>
+  );
+}
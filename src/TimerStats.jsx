@@ -0,0 +1,169 @@
+import { useMemo } from "react";
+import { X } from "lucide-react";
+
+/**
+ * TimerStats — focus history panel for TimerCard
+ * - Input: session log [{ id, startTs, endTs, plannedMs, focusedMs, pauses, finished, label, kind, extensions? }]
+ * - Break phases (kind "break") are listed but never counted as focus time
+ * - Today / 7-day totals, day streak, weekday × hour heatmap, recent sessions
+ */
+
+const DAY_MS = 24 * 3600 * 1000;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const dayStart = (ts) => { const d = new Date(ts); d.setHours(0, 0, 0, 0); return d.getTime(); };
+const fmtDur = (ms) => {
+  const min = Math.round(ms / 60000);
+  const h = Math.floor(min / 60);
+  return h ? `${h}h ${min % 60}m` : `${min}m`;
+};
+
+// split [from, to) into hour-aligned chunks so long sessions heat every hour they cover
+const eachHourChunk = (from, to, fn) => {
+  let t = from;
+  while (t < to) {
+    const d = new Date(t);
+    d.setMinutes(60, 0, 0);
+    const next = Math.min(d.getTime(), to);
+    fn(new Date(t), next - t);
+    t = next;
+  }
+};
+
+const computeStats = (sessions, nowTs) => {
+  const focus = sessions.filter(s => s.kind !== "break");
+  const byDay = new Map(); // dayStart → ms
+  const heat = Array.from({ length: 7 }, () => Array(24).fill(0));
+  for (const s of focus) {
+    const k = dayStart(s.startTs);
+    byDay.set(k, (byDay.get(k) || 0) + s.focusedMs);
+    // pauses make the exact spread unknowable; assume focus was the tail of the session
+    eachHourChunk(s.endTs - s.focusedMs, s.endTs, (d, ms) => { heat[d.getDay()][d.getHours()] += ms; });
+  }
+
+  const today = dayStart(nowTs);
+  const week = Array.from({ length: 7 }, (_, i) => {
+    const k = dayStart(today - (6 - i) * DAY_MS + DAY_MS / 2); // midday offset survives DST shifts
+    return { key: k, label: WEEKDAYS[new Date(k).getDay()], ms: byDay.get(k) || 0 };
+  });
+
+  // streak counts back from today, or from yesterday if nothing logged yet today
+  let streak = 0;
+  let k = byDay.get(today) ? today : dayStart(today - DAY_MS / 2);
+  while (byDay.get(k)) { streak++; k = dayStart(k - DAY_MS / 2); }
+
+  const heatMax = Math.max(1, ...heat.flat());
+  return {
+    todayMs: byDay.get(today) || 0,
+    weekMs: week.reduce((sum, d) => sum + d.ms, 0),
+    week,
+    weekMax: Math.max(1, ...week.map(d => d.ms)),
+    streak,
+    heat,
+    heatMax,
+    finishedCount: focus.filter(s => s.finished).length,
+    totalCount: focus.length,
+  };
+};
+
+export default function TimerStats({ sessions, onClose, onClear }) {
+  const st = useMemo(() => computeStats(sessions, Date.now()), [sessions]);
+  const recent = sessions.slice(-12).reverse();
+
+  return (
+    <div className="w-[min(92vw,560px)] max-h-[85vh] overflow-y-auto rounded-2xl bg-white/30 backdrop-blur-2xl border border-white/40 text-agari-ink p-5 space-y-5">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold">Focus History</h3>
+        <button className="p-2 rounded hover:bg-agari-ink/5" onClick={onClose}><X className="text-agari-ink" /></button>
+      </div>
+
+      {/* totals */}
+      <div className="grid grid-cols-3 gap-3 text-center">
+        {[
+          { label: "Today", value: fmtDur(st.todayMs) },
+          { label: "Last 7 days", value: fmtDur(st.weekMs) },
+          { label: "Streak", value: `${st.streak} day${st.streak === 1 ? "" : "s"}` },
+        ].map(c => (
+          <div key={c.label} className="rounded-lg border border-agari-ink/15 bg-white/30 py-2">
+            <div className="text-lg font-semibold tabular-nums">{c.value}</div>
+            <div className="text-[11px] text-agari-ink/60">{c.label}</div>
+          </div>
+        ))}
+      </div>
+
+      {/* daily bars */}
+      <div>
+        <div className="text-sm mb-2 text-agari-ink/70">Daily</div>
+        <div className="flex items-end gap-2 h-24">
+          {st.week.map(d => (
+            <div key={d.key} className="flex-1 flex flex-col items-center gap-1" title={fmtDur(d.ms)}>
+              <div className="w-full rounded-t bg-agari-ink/60" style={{ height: `${(d.ms / st.weekMax) * 72}px` }} />
+              <div className="text-[10px] text-agari-ink/60">{d.label}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* weekday × hour heatmap */}
+      <div>
+        <div className="text-sm mb-2 text-agari-ink/70">By hour</div>
+        <div className="space-y-[2px]">
+          {st.heat.map((row, wd) => (
+            <div key={wd} className="flex items-center gap-[2px]">
+              <span className="w-8 text-[10px] text-agari-ink/60">{WEEKDAYS[wd]}</span>
+              {row.map((ms, h) => (
+                <div
+                  key={h}
+                  className="flex-1 h-3 rounded-sm"
+                  style={{ background: `rgb(var(--agari-ink) / ${ms ? 0.1 + 0.75 * (ms / st.heatMax) : 0.05})` }}
+                  title={`${WEEKDAYS[wd]} ${h}:00 — ${fmtDur(ms)}`}
+                />
+              ))}
+            </div>
+          ))}
+          <div className="flex pl-8 text-[10px] text-agari-ink/50">
+            {[0, 6, 12, 18].map(h => <span key={h} className="flex-1">{h}:00</span>)}
+          </div>
+        </div>
+      </div>
+
+      {/* recent sessions */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-sm text-agari-ink/70">
+            Recent · {st.finishedCount}/{st.totalCount} finished
+          </div>
+          {sessions.length > 0 && (
+            <button
+              className="px-2 py-1 text-xs rounded-lg border border-agari-ink/20 bg-white/30 hover:bg-white/40 text-red-600"
+              onClick={() => { if (confirm("Clear all focus history?")) onClear(); }}
+            >
+              Clear
+            </button>
+          )}
+        </div>
+        {recent.length === 0 ? (
+          <div className="text-sm text-agari-ink/50">No sessions yet. Finish or reset a countdown to log one.</div>
+        ) : (
+          <ul className="divide-y divide-agari-ink/10 text-sm">
+            {recent.map(s => (
+              <li key={s.id} className="flex items-center gap-3 py-1.5">
+                <span className={s.finished ? "text-emerald-700" : "text-agari-ink/40"}>{s.finished ? "✓" : "✕"}</span>
+                <span className="flex-1 truncate">
+                  {s.label}
+                  <span className="text-[11px] text-agari-ink/50">
+                    {" "}· {new Date(s.startTs).toLocaleString(undefined, { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" })}
+                  </span>
+                </span>
+                <span className="tabular-nums" title={s.extensions?.length ? `Extended ${s.extensions.length}×` : undefined}>
+                  {fmtDur(s.focusedMs)} / {fmtDur(s.plannedMs)}{s.extensions?.length ? "+" : ""}
+                </span>
+                <span className="text-[11px] text-agari-ink/50 w-14 text-right">{s.pauses} pause{s.pauses === 1 ? "" : "s"}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
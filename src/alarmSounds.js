@@ -0,0 +1,159 @@
+/**
+ * alarmSounds — alarm tone library for TimerCard
+ * - Synth tones are scheduled with Web Audio, one "cycle" every `period` seconds
+ * - Uploaded files live in IndexedDB (store "alarmSounds") and play as decoded buffers
+ * - playAlarm() schedules the first few seconds note by note while one cycle is rendered to a
+ *   buffer, then loops that buffer on the audio thread — no main-thread timer keeps it going, so
+ *   a hidden (throttled) tab rings just as long; stop() silences everything at once via the master gain
+ */
+
+import { idbDelete, idbGetAll, idbPut } from "./idb";
+
+const STORE = "alarmSounds";
+export const CUSTOM_PREFIX = "custom:";
+
+export const DEFAULT_ALARM = {
+  sound: "classic",  // synth id | "custom:<id>"
+  lengthSec: 5,
+  repeat: false,     // keep ringing until dismissed
+  rampSec: 0,        // fade in over N seconds (0 = full volume at once)
+  volume: 0.8,       // 0..1
+};
+
+// one enveloped oscillator note
+const note = (ctx, out, t, { hz, type = "sine", peak = 0.25, attack = 0.02, decay = 0.5 }) => {
+  const osc = ctx.createOscillator();
+  const g = ctx.createGain();
+  osc.type = type; osc.frequency.setValueAtTime(hz, t);
+  g.gain.setValueAtTime(0.0001, t);
+  g.gain.exponentialRampToValueAtTime(peak, t + attack);
+  g.gain.exponentialRampToValueAtTime(0.0001, t + decay);
+  osc.connect(g); g.connect(out);
+  osc.start(t); osc.stop(t + decay + 0.02);
+};
+
+export const SYNTH_SOUNDS = [
+  { id: "classic", label: "Classic ping", period: 1.8, play: (ctx, out, t) => note(ctx, out, t, { hz: 880 }) },
+  {
+    id: "chime", label: "Chime", period: 2,
+    play: (ctx, out, t) => [523.25, 659.25, 783.99].forEach((hz, i) =>
+      note(ctx, out, t + i * 0.16, { hz, type: "triangle", peak: 0.22, decay: 0.7 })),
+  },
+  {
+    id: "digital", label: "Digital beep", period: 1,
+    play: (ctx, out, t) => [0, 0.14].forEach(dt =>
+      note(ctx, out, t + dt, { hz: 1000, type: "square", peak: 0.08, attack: 0.005, decay: 0.09 })),
+  },
+  {
+    id: "bell", label: "Bell", period: 2.6,
+    play: (ctx, out, t) => [[660, 0.22], [1320, 0.08], [1980, 0.04]].forEach(([hz, peak]) =>
+      note(ctx, out, t, { hz, peak, attack: 0.005, decay: 2.2 })),
+  },
+  {
+    id: "soft", label: "Soft swell", period: 3,
+    play: (ctx, out, t) => note(ctx, out, t, { hz: 440, peak: 0.2, attack: 0.6, decay: 2.2 }),
+  },
+];
+
+/* ---------- uploaded sounds ---------- */
+// records: { id, name, type, blob, addedTs }
+export const listCustomSounds = async () =>
+  (await idbGetAll(STORE)).sort((a, b) => a.addedTs - b.addedTs);
+
+export const addCustomSound = async (file) => {
+  const rec = { id: Math.random().toString(36).slice(2, 10), name: file.name, type: file.type, blob: file, addedTs: Date.now() };
+  await idbPut(STORE, rec);
+  return rec;
+};
+
+export const removeCustomSound = (id) => idbDelete(STORE, id);
+
+export const decodeSound = async (ctx, rec) => ctx.decodeAudioData(await rec.blob.arrayBuffer());
+
+/* ---------- playback ---------- */
+const LOOKAHEAD = 4; // seconds scheduled note by note while the loop buffer is rendered
+
+const synthCycles = new Map(); // "<id>@<sampleRate>" → Promise<AudioBuffer>
+
+// one cycle of the sound, `period` seconds long, ready to loop
+const cycleBuffer = async (ctx, synth, buffer, period) => {
+  const frames = Math.ceil(period * ctx.sampleRate);
+  if (buffer) {
+    // the upload plus its trailing gap; resampled already by decodeAudioData
+    const out = ctx.createBuffer(buffer.numberOfChannels, frames, ctx.sampleRate);
+    for (let c = 0; c < buffer.numberOfChannels; c++) out.copyToChannel(buffer.getChannelData(c).subarray(0, frames), c);
+    return out;
+  }
+  const key = `${synth.id}@${ctx.sampleRate}`;
+  if (!synthCycles.has(key)) {
+    const off = new OfflineAudioContext(1, frames, ctx.sampleRate);
+    synth.play(off, off.destination, 0);
+    const rendered = off.startRendering();
+    rendered.catch(() => synthCycles.delete(key));
+    synthCycles.set(key, rendered);
+  }
+  return synthCycles.get(key);
+};
+
+// settings: DEFAULT_ALARM shape; buffer: decoded AudioBuffer for custom sounds
+export function playAlarm(ctx, settings, buffer = null) {
+  const { sound, lengthSec, repeat, rampSec, volume } = { ...DEFAULT_ALARM, ...settings };
+  const synth = SYNTH_SOUNDS.find(s => s.id === sound) || SYNTH_SOUNDS[0];
+  const custom = sound.startsWith(CUSTOM_PREFIX) && buffer;
+  const period = custom ? Math.max(0.5, buffer.duration + 0.4) : synth.period;
+
+  const master = ctx.createGain();
+  master.connect(ctx.destination);
+  const t0 = ctx.currentTime + 0.02;
+  const endT = repeat ? Infinity : t0 + lengthSec;
+  if (rampSec > 0) {
+    master.gain.setValueAtTime(0.0001, t0);
+    master.gain.exponentialRampToValueAtTime(Math.max(0.0001, volume), t0 + rampSec);
+  } else {
+    master.gain.setValueAtTime(volume, t0);
+  }
+
+  const sources = [];
+  const playCycle = (t) => {
+    if (!custom) { synth.play(ctx, master, t); return; }
+    const src = ctx.createBufferSource();
+    src.buffer = buffer;
+    src.connect(master);
+    src.start(t);
+    if (Number.isFinite(endT)) src.stop(Math.min(endT, t + buffer.duration));
+    sources.push(src);
+  };
+
+  let nextT = t0;
+  let stopped = false;
+  let timer = null;
+  const pump = () => {
+    const horizon = Math.min(endT, ctx.currentTime + LOOKAHEAD);
+    while (nextT < horizon) { playCycle(nextT); nextT += period; }
+  };
+  pump();
+  cycleBuffer(ctx, synth, custom || null, period).then((cycle) => {
+    while (nextT < ctx.currentTime) nextT += period; // rendering outran the lookahead: skip, don't stack
+    if (stopped || nextT >= endT) return;
+    const loop = ctx.createBufferSource();
+    loop.buffer = cycle;
+    loop.loop = true;
+    loop.connect(master);
+    loop.start(nextT);
+    if (Number.isFinite(endT)) loop.stop(endT);
+    sources.push(loop);
+  }, () => {
+    // no offline rendering here: keep pumping from the main thread (throttled when hidden)
+    if (!stopped) timer = setInterval(pump, 1000);
+  });
+
+  return {
+    stop() {
+      stopped = true;
+      clearInterval(timer);
+      sources.forEach(s => { try { s.stop(); } catch { /* not started or already stopped */ } });
+      master.gain.cancelScheduledValues(ctx.currentTime);
+      master.disconnect();
+    },
+  };
+}
@@ -0,0 +1,208 @@
+/**
+ * audioTags — title / artist / album / cover from an audio file's own tags
+ * - MP3: ID3v2.2–2.4 at the start (ID3v1 at the end as a fallback, text only)
+ * - FLAC: VORBIS_COMMENT and PICTURE metadata blocks
+ * - OGG (Vorbis / Opus): the comment header packet, cover from METADATA_BLOCK_PICTURE
+ * - readAudioTags(file) → { title, artist, album, cover: { mime, data: Uint8Array } | null }
+ *   fields the file doesn't carry come back as ""; a broken tag never throws
+ */
+
+const HEAD_BYTES = 4 * 1024 * 1024; // FLAC/OGG tags (cover included) sit well inside this
+
+const EMPTY = { title: "", artist: "", album: "", cover: null };
+
+const ascii = (u8, at, len) => String.fromCharCode(...u8.subarray(at, at + len));
+const be32 = (u8, at) => ((u8[at] << 24) | (u8[at + 1] << 16) | (u8[at + 2] << 8) | u8[at + 3]) >>> 0;
+const le32 = (u8, at) => (u8[at] | (u8[at + 1] << 8) | (u8[at + 2] << 16) | (u8[at + 3] << 24)) >>> 0;
+const synchsafe = (u8, at) => (u8[at] << 21) | (u8[at + 1] << 14) | (u8[at + 2] << 7) | u8[at + 3];
+const utf8 = (u8) => new TextDecoder("utf-8").decode(u8);
+
+/* ---------- ID3 ---------- */
+// text encoding byte: 0 latin1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+const decodeText = (enc, u8) => {
+  const label = enc === 0 ? "latin1" : enc === 1 ? "utf-16" : enc === 2 ? "utf-16be" : "utf-8";
+  return new TextDecoder(label).decode(u8).replace(/\0+$/, "").split("\0")[0].trim();
+};
+
+// end of a NUL-terminated string from `at` (two-byte NULs for UTF-16)
+const nulEnd = (u8, at, enc) => {
+  if (enc === 1 || enc === 2) {
+    for (let i = at; i + 1 < u8.length; i += 2) if (!u8[i] && !u8[i + 1]) return i;
+  } else {
+    for (let i = at; i < u8.length; i++) if (!u8[i]) return i;
+  }
+  return u8.length;
+};
+const nulWidth = (enc) => (enc === 1 || enc === 2 ? 2 : 1);
+
+// v2.3+: APIC = enc, mime\0, type, desc\0, data · v2.2: PIC = enc, 3-char format, type, desc\0, data
+const readPicture = (body, v22) => {
+  const enc = body[0];
+  let at = 1, mime;
+  if (v22) {
+    const fmt = ascii(body, 1, 3).toLowerCase();
+    mime = fmt === "png" ? "image/png" : "image/jpeg";
+    at = 4;
+  } else {
+    const end = nulEnd(body, 1, 0);
+    mime = ascii(body, 1, end - 1) || "image/jpeg";
+    if (!mime.includes("/")) mime = `image/${mime.toLowerCase()}`;
+    at = end + 1;
+  }
+  at += 1; // picture type
+  at = nulEnd(body, at, enc) + nulWidth(enc);
+  return at < body.length ? { mime, data: body.slice(at) } : null;
+};
+
+const ID3_FIELDS = { TIT2: "title", TT2: "title", TPE1: "artist", TP1: "artist", TALB: "album", TAL: "album" };
+
+const readId3v2 = (u8) => {
+  const out = { ...EMPTY };
+  const major = u8[3];
+  const flags = u8[5];
+  const end = Math.min(u8.length, 10 + synchsafe(u8, 6));
+  let at = 10;
+  if (flags & 0x40 && major >= 3) at += major === 4 ? synchsafe(u8, at) : be32(u8, at) + 4; // extended header
+  const v22 = major === 2;
+  const idLen = v22 ? 3 : 4;
+  const headLen = v22 ? 6 : 10;
+  let cover = null, frontCover = null;
+
+  while (at + headLen <= end) {
+    const id = ascii(u8, at, idLen);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+    const size = v22 ? (u8[at + 3] << 16) | (u8[at + 4] << 8) | u8[at + 5]
+      : major === 4 ? synchsafe(u8, at + 4) : be32(u8, at + 4);
+    const body = u8.subarray(at + headLen, Math.min(end, at + headLen + size));
+    at += headLen + size;
+    if (!body.length) continue;
+    if (ID3_FIELDS[id] && !out[ID3_FIELDS[id]]) out[ID3_FIELDS[id]] = decodeText(body[0], body.subarray(1));
+    else if (id === "APIC" || id === "PIC") {
+      const pic = readPicture(body, v22);
+      const typeAt = v22 ? 4 : nulEnd(body, 1, 0) + 1;
+      if (pic && body[typeAt] === 3) frontCover ||= pic;
+      else if (pic) cover ||= pic;
+    }
+  }
+  out.cover = frontCover || cover;
+  return out;
+};
+
+// 128-byte trailer: "TAG", title[30], artist[30], album[30], …
+const readId3v1 = (u8) => {
+  if (u8.length < 128 || ascii(u8, 0, 3) !== "TAG") return EMPTY;
+  const field = (at) => decodeText(0, u8.subarray(at, at + 30));
+  return { title: field(3), artist: field(33), album: field(63), cover: null };
+};
+
+/* ---------- Vorbis comments (FLAC + OGG) ---------- */
+// the FLAC PICTURE block layout, also what METADATA_BLOCK_PICTURE base64-encodes
+const readFlacPicture = (u8) => {
+  let at = 4;
+  const mimeLen = be32(u8, at); at += 4;
+  const mime = ascii(u8, at, mimeLen); at += mimeLen;
+  const descLen = be32(u8, at); at += 4 + descLen + 16; // + width, height, depth, colors
+  const len = be32(u8, at); at += 4;
+  if (at + len > u8.length) return null;
+  return { type: be32(u8, 0), mime: mime || "image/jpeg", data: u8.slice(at, at + len) };
+};
+
+const fromBase64 = (s) => {
+  const bin = atob(s);
+  const u8 = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) u8[i] = bin.charCodeAt(i);
+  return u8;
+};
+
+// vendor string, then "KEY=value" entries, all lengths little-endian
+const readComments = (u8, out) => {
+  let at = 4 + le32(u8, 0);
+  const count = le32(u8, at); at += 4;
+  for (let i = 0; i < count && at + 4 <= u8.length; i++) {
+    const len = le32(u8, at); at += 4;
+    const entry = utf8(u8.subarray(at, at + len)); at += len;
+    const eq = entry.indexOf("=");
+    if (eq < 0) continue;
+    const key = entry.slice(0, eq).toUpperCase();
+    const value = entry.slice(eq + 1).trim();
+    if (key === "TITLE" && !out.title) out.title = value;
+    else if (key === "ARTIST" && !out.artist) out.artist = value;
+    else if (key === "ALBUM" && !out.album) out.album = value;
+    else if (key === "METADATA_BLOCK_PICTURE" && !out.cover) {
+      try { out.cover = readFlacPicture(fromBase64(value)); } catch { /* not base64 */ }
+    }
+  }
+  return out;
+};
+
+const readFlac = (u8) => {
+  const out = { ...EMPTY };
+  let at = 4, last = false, front = null, other = null;
+  while (!last && at + 4 <= u8.length) {
+    last = !!(u8[at] & 0x80);
+    const type = u8[at] & 0x7f;
+    const len = (u8[at + 1] << 16) | (u8[at + 2] << 8) | u8[at + 3];
+    const body = u8.subarray(at + 4, at + 4 + len);
+    at += 4 + len;
+    if (type === 4) readComments(body, out);
+    else if (type === 6 && body.length === len) {
+      const pic = readFlacPicture(body);
+      if (pic?.type === 3) front ||= pic;
+      else if (pic) other ||= pic;
+    }
+  }
+  const pic = front || other || out.cover;
+  out.cover = pic && { mime: pic.mime, data: pic.data };
+  return out;
+};
+
+// reassemble the second logical packet (the comment header) from the first OGG pages
+const readOgg = (u8) => {
+  const packets = [];
+  let at = 0, cur = [];
+  while (packets.length < 2 && at + 27 <= u8.length && ascii(u8, at, 4) === "OggS") {
+    const nSegs = u8[at + 26];
+    const lacing = u8.subarray(at + 27, at + 27 + nSegs);
+    let p = at + 27 + nSegs;
+    for (const seg of lacing) {
+      cur.push(u8.subarray(p, p + seg));
+      p += seg;
+      if (seg < 255) {
+        const len = cur.reduce((n, c) => n + c.length, 0);
+        const packet = new Uint8Array(len);
+        cur.reduce((o, c) => { packet.set(c, o); return o + c.length; }, 0);
+        packets.push(packet); cur = [];
+        if (packets.length === 2) break;
+      }
+    }
+    at = p;
+  }
+  const head = packets[1];
+  if (!head) return EMPTY;
+  const skip = ascii(head, 1, 6) === "vorbis" ? 7 : ascii(head, 0, 8) === "OpusTags" ? 8 : -1;
+  if (skip < 0) return EMPTY;
+  const out = readComments(head.subarray(skip), { ...EMPTY });
+  out.cover = out.cover && { mime: out.cover.mime, data: out.cover.data };
+  return out;
+};
+
+/* ---------- entry ---------- */
+const bytes = async (blob, start, end) => new Uint8Array(await blob.slice(start, end).arrayBuffer());
+
+export async function readAudioTags(file) {
+  try {
+    const head = await bytes(file, 0, 10);
+    const magic = ascii(head, 0, 4);
+    if (magic.startsWith("ID3")) {
+      const tagLen = 10 + synchsafe(head, 6);
+      const tags = readId3v2(await bytes(file, 0, tagLen));
+      if (tags.title || tags.artist) return tags;
+      return { ...readId3v1(await bytes(file, file.size - 128, file.size)), cover: tags.cover };
+    }
+    if (magic === "fLaC") return readFlac(await bytes(file, 0, HEAD_BYTES));
+    if (magic === "OggS") return readOgg(await bytes(file, 0, HEAD_BYTES));
+    return readId3v1(await bytes(file, file.size - 128, file.size));
+  } catch {
+    return EMPTY;
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * designRegistry — the timer designs TimerCard can show
+ * - A design: { id, label, component, timeBox, pip, stopwatchFlip?, options }
+ *   timeBox: where TimerCard puts its [D:]HH:MM:SS editor — "above" | "below" | "none" (design draws its own digits)
+ *   pip: compact look in the floating window — "ring" | "bar"
+ *   stopwatchFlip: count-up drains and flips every N minutes instead of filling once per hour
+ *   options: [{ key, label, type: "choice", choices: [{ id, label }] }
+ *             | { key, label, type: "toggle", hint }] with `default` on each
+ * - registerDesign() adds (or replaces by id) a design; call it at import time
+ */
+
+import { Bar, FlipClock, LiquidGlass, PieTimer, Ring, RingTicks, Sandglass, Wave } from "./TimerDesigns";
+
+const designs = [
+  { id: "ring", label: "Ring", component: Ring, timeBox: "below", pip: "ring", options: [] },
+  { id: "ring-ticks", label: "Ring + Ticks", component: RingTicks, timeBox: "below", pip: "ring", options: [] },
+  {
+    id: "bar", label: "Bar", component: Bar, timeBox: "above", pip: "bar",
+    options: [{ key: "centered", label: "Bar options", type: "toggle", hint: "Center time inside bar (auto on for small screens)", default: true }],
+  },
+  {
+    id: "wave", label: "Waveform", component: Wave, timeBox: "none", pip: "bar",
+    options: [{
+      key: "mood", label: "Wave mood", type: "choice", default: "calm",
+      choices: [{ id: "calm", label: "Calm" }, { id: "lively", label: "Lively" }],
+    }],
+  },
+  {
+    id: "sandglass", label: "Sandglass", component: Sandglass, timeBox: "below", pip: "ring", stopwatchFlip: true,
+    options: [{ key: "simplified", label: "Simplified mode", type: "toggle", hint: "Turn off falling grains (performance)", default: true }],
+  },
+  {
+    id: "flip", label: "Flip clock", component: FlipClock, timeBox: "none", pip: "bar",
+    options: [{ key: "seconds", label: "Flip clock options", type: "toggle", hint: "Show seconds", default: true }],
+  },
+  {
+    id: "liquid", label: "Liquid glass", component: LiquidGlass, timeBox: "below", pip: "bar",
+    options: [{ key: "bubbles", label: "Liquid options", type: "toggle", hint: "Rising bubbles while running", default: true }],
+  },
+  {
+    id: "pie", label: "Time Timer (pie)", component: PieTimer, timeBox: "below", pip: "ring",
+    options: [{
+      key: "color", label: "Disk color", type: "choice", default: "red",
+      choices: [{ id: "red", label: "Red" }, { id: "white", label: "White" }],
+    }],
+  },
+];
+
+export const listDesigns = () => designs;
+
+export const getDesign = (id) => designs.find(d => d.id === id) || designs[0];
+
+export const registerDesign = (def) => {
+  const i = designs.findIndex(d => d.id === def.id);
+  const full = { timeBox: "below", pip: "ring", options: [], ...def };
+  if (i >= 0) designs[i] = full; else designs.push(full);
+};
+
+// saved options win over each option's default
+export const designOptions = (def, saved = {}) =>
+  Object.fromEntries(def.options.map(o => [o.key, saved[o.key] ?? o.default]));
@@ -0,0 +1,54 @@
+/**
+ * idb — tiny promise wrapper around one IndexedDB database
+ * - One object store per feature, all keyed by `id`
+ * - Bump DB_VERSION when adding a store to STORES
+ * - An open connection closes itself when another tab upgrades; an upgrade that an older tab
+ *   still blocks rejects with name "BlockedError" instead of hanging
+ */
+
+const DB_NAME = "agari";
+const DB_VERSION = 2;
+const STORES = ["alarmSounds", "localTracks"];
+
+let dbPromise = null;
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      let blocked = false;
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        STORES.forEach(name => { if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: "id" }); });
+      };
+      req.onblocked = () => {
+        blocked = true;
+        dbPromise = null; // the next call tries again
+        reject(Object.assign(new Error("Another AgariBro tab is still open on an older version — close it and try again."), { name: "BlockedError" }));
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        if (blocked) { db.close(); return; } // the caller already got the error; a later call reopens
+        db.onversionchange = () => { db.close(); dbPromise = null; };
+        resolve(db);
+      };
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (store, mode, fn) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const idbGet = (store, id) => run(store, "readonly", s => s.get(id));
+export const idbGetAll = (store) => run(store, "readonly", s => s.getAll());
+export const idbPut = (store, value) => run(store, "readwrite", s => s.put(value));
+export const idbDelete = (store, id) => run(store, "readwrite", s => s.delete(id));
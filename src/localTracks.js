@@ -0,0 +1,47 @@
+/**
+ * localTracks — audio files the user added to MusicPlayer, kept in IndexedDB (store "localTracks")
+ * - Record: { id, name, type, size, blob, title, artist, album, cover: Blob | null, addedTs }
+ * - The same file added twice maps to the same id, so playlists can dedupe it like a video
+ * - Playlists hold only the lightweight track: { source: "local", fileId, title, channel, album }
+ */
+
+import { idbDelete, idbGet, idbPut } from "./idb";
+import { readAudioTags } from "./audioTags";
+
+const STORE = "localTracks";
+
+const EXT = /\.(mp3|ogg|oga|opus|flac)$/i;
+export const LOCAL_ACCEPT = "audio/mpeg,audio/ogg,audio/flac,.mp3,.ogg,.oga,.opus,.flac";
+
+export const isSupportedAudio = (file) =>
+  EXT.test(file.name) || ["audio/mpeg", "audio/mp3", "audio/ogg", "audio/flac", "audio/x-flac"].includes(file.type);
+
+const fileId = (file) => `${file.name}:${file.size}:${file.lastModified || 0}`;
+
+const toTrack = (rec) => ({ source: "local", fileId: rec.id, title: rec.title, channel: rec.artist, album: rec.album });
+
+// → the playlist track for one file; throws on storage errors (quota)
+export async function addLocalFile(file) {
+  const id = fileId(file);
+  const existing = await idbGet(STORE, id);
+  if (existing) return toTrack(existing);
+  const tags = await readAudioTags(file);
+  const rec = {
+    id,
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    blob: file,
+    title: tags.title || file.name.replace(EXT, ""),
+    artist: tags.artist,
+    album: tags.album,
+    cover: tags.cover ? new Blob([tags.cover.data], { type: tags.cover.mime }) : null,
+    addedTs: Date.now(),
+  };
+  await idbPut(STORE, rec);
+  return toTrack(rec);
+}
+
+export const getLocalFile = (id) => idbGet(STORE, id);
+export const getLocalCover = async (id) => (await idbGet(STORE, id))?.cover || null;
+export const deleteLocalFile = (id) => idbDelete(STORE, id);
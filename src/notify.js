@@ -0,0 +1,60 @@
+/**
+ * notify — opt-in system notifications shared by TimerCard and the planner
+ * - Opt-in flag lives in localStorage; the browser permission is asked separately
+ * - Action buttons need a service worker (public/sw.js); without one we fall back
+ *   to a plain Notification and callers keep their in-page chime
+ */
+
+export const NOTIFY_KEY = "notify.enabled";
+
+export const notifySupported = () => typeof window !== "undefined" && "Notification" in window;
+export const notifyPermission = () => (notifySupported() ? Notification.permission : "unsupported");
+export const notifyOptedIn = () => localStorage.getItem(NOTIFY_KEY) === "true";
+export const notifyReady = () => notifyOptedIn() && notifyPermission() === "granted";
+
+let swReg = null;
+const registration = async () => {
+  if (!("serviceWorker" in navigator)) return null;
+  if (!swReg) {
+    swReg = navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+      .then(() => navigator.serviceWorker.ready)
+      .catch((e) => { console.error(e); return null; });
+  }
+  return swReg;
+};
+
+// returns the resulting permission ("granted" | "denied" | "default" | "unsupported")
+export async function enableNotifications(on) {
+  localStorage.setItem(NOTIFY_KEY, String(on));
+  if (!on || !notifySupported()) return notifyPermission();
+  const perm = Notification.permission === "default" ? await Notification.requestPermission() : Notification.permission;
+  if (perm === "granted") registration();
+  return perm;
+}
+
+// actions: [{ action, title }]; `data` comes back with the click; returns true if shown
+export async function showNotification(title, { body = "", tag = "agari", actions = [], data = null } = {}) {
+  if (!notifyReady()) return false;
+  try {
+    const reg = await registration();
+    if (reg?.showNotification) {
+      await reg.showNotification(title, { body, tag, data, actions, renotify: true, requireInteraction: actions.length > 0 });
+    } else {
+      const n = new Notification(title, { body, tag });
+      n.onclick = () => { window.focus(); n.close(); };
+    }
+    return true;
+  } catch (e) {
+    console.error(e);
+    return false;
+  }
+}
+
+// handler({ tag, action, data }) for clicks on notifications from this app; returns unsubscribe
+export function onNotificationAction(handler) {
+  if (!("serviceWorker" in navigator)) return () => {};
+  const onMsg = (e) => { if (e.data?.type === "notification-action") handler(e.data); };
+  navigator.serviceWorker.addEventListener("message", onMsg);
+  navigator.serviceWorker.startMessages?.();
+  return () => navigator.serviceWorker.removeEventListener("message", onMsg);
+}
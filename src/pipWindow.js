@@ -0,0 +1,47 @@
+/**
+ * pipWindow — opens a small floating window for the timer
+ * - Document Picture-in-Picture (always on top) where supported
+ * - Otherwise a small popup window (same origin, so React can portal into it)
+ * - Copies the page's stylesheets so Tailwind classes render the same
+ */
+
+export const pipSupported = () =>
+  typeof window !== "undefined" && ("documentPictureInPicture" in window || typeof window.open === "function");
+
+const copyStyles = (target) => {
+  for (const sheet of document.styleSheets) {
+    try {
+      const style = target.document.createElement("style");
+      style.textContent = [...sheet.cssRules].map(r => r.cssText).join("\n");
+      target.document.head.appendChild(style);
+    } catch {
+      // cross-origin sheet (e.g. Google Fonts): cssRules is off limits, link it instead
+      if (!sheet.href) continue;
+      const link = target.document.createElement("link");
+      link.rel = "stylesheet";
+      link.href = sheet.href;
+      target.document.head.appendChild(link);
+    }
+  }
+};
+
+// resolves with the new Window, or null if the browser refused (popup blocker, no user gesture)
+export async function openPipWindow({ width = 320, height = 360, title = "Timer" } = {}) {
+  let win = null;
+  if ("documentPictureInPicture" in window) {
+    try {
+      win = await window.documentPictureInPicture.requestWindow({ width, height });
+    } catch {
+      win = null;
+    }
+  }
+  if (!win) {
+    win = window.open("", "agari-timer-pip", `popup,width=${width},height=${height}`);
+    if (!win) return null;
+    win.document.body.innerHTML = "";
+  }
+  win.document.title = title;
+  copyStyles(win);
+  win.document.body.style.margin = "0";
+  return win;
+}
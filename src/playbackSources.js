@@ -0,0 +1,148 @@
+/**
+ * playbackSources — the players MusicPlayer drives, behind one interface
+ * - A source: { kind, load(track), play(), pause(), seek(sec), time(), duration(), playing(), setVolume(0..100), destroy() }
+ *   load()/play() resolve once playback starts; they reject when the browser wants a user gesture
+ *   (name "NotAllowedError") or, for local files, when the file is gone (name "NotFoundError")
+ * - Events go to the handlers given at creation: { onPlay, onPause, onEnded, onError };
+ *   onError(err) is a track that can't play at all (name "NotSupportedError": an undecodable file,
+ *   a video that's gone or not embeddable), which load()/play() may also reject with
+ * - youtube: the IFrame API in a hidden host element · local: an <audio> element fed from IndexedDB
+ * - Tracks without a `source` are YouTube ones (the original { videoId, title, channel, thumb } shape)
+ */
+
+import { getLocalFile } from "./localTracks";
+
+export const trackSource = (t) => t?.source || "youtube";
+// stable identity across playlists: dedupe, list keys, "is this the loaded track"
+export const trackKey = (t) => (trackSource(t) === "local" ? `local:${t.fileId}` : t.videoId);
+
+/* ---------- YouTube ---------- */
+let ytApi = null;
+const loadYouTubeApi = () => {
+  if (!ytApi) {
+    ytApi = new Promise((resolve) => {
+      if (window.YT?.Player) { resolve(window.YT); return; }
+      const prev = window.onYouTubeIframeAPIReady;
+      window.onYouTubeIframeAPIReady = () => { prev?.(); resolve(window.YT); };
+      const s = document.createElement("script");
+      s.src = "https://www.youtube.com/iframe_api";
+      s.async = true;
+      document.body.appendChild(s);
+    });
+  }
+  return ytApi;
+};
+
+// playVideo() returns a promise in some builds (autoplay policy) and undefined in others
+const attempt = (fn) => Promise.resolve(fn()).then(() => {});
+
+export function createYouTubeSource(host, { onPlay, onPause, onEnded, onError }, volume = 80) {
+  // the API replaces its element with an iframe, so give it one of its own
+  const el = document.createElement("div");
+  host.appendChild(el);
+  let player = null;
+  let playing = false;
+  let loadedId = null;
+  let destroyed = false;
+
+  const ready = loadYouTubeApi().then(YT => new Promise((resolve) => {
+    if (destroyed) return;
+    player = new YT.Player(el, {
+      height: "0",
+      width: "0",
+      playerVars: { rel: 0, modestbranding: 1 },
+      events: {
+        onReady: (e) => {
+          e.target.setVolume?.(volume);
+          // keep the hidden iframe from stealing keyboard focus
+          const iframe = e.target.getIframe?.();
+          if (iframe) {
+            iframe.setAttribute("tabindex", "-1");
+            iframe.setAttribute("aria-hidden", "true");
+            try { iframe.blur(); } catch { /* detached */ }
+          }
+          resolve();
+        },
+        onStateChange: (e) => {
+          const S = YT.PlayerState;
+          if (e.data === S.PLAYING) { playing = true; onPlay?.(); }
+          else if (e.data === S.PAUSED) { playing = false; onPause?.(); }
+          else if (e.data === S.ENDED) { playing = false; onEnded?.(); }
+        },
+        // 2 bad id · 5 HTML5 player · 100 removed or private · 101 / 150 not embeddable
+        onError: (e) => {
+          playing = false;
+          onError?.(Object.assign(new Error(`YouTube player error ${e.data}`), { name: "NotSupportedError" }));
+        },
+      },
+    });
+  }));
+
+  return {
+    kind: "youtube",
+    async load(track) {
+      await ready;
+      if (loadedId !== track.videoId) {
+        loadedId = track.videoId;
+        player.loadVideoById(track.videoId);
+      }
+      return attempt(() => player.playVideo?.());
+    },
+    async play() { await ready; return attempt(() => player.playVideo?.()); },
+    pause() { player?.pauseVideo?.(); playing = false; },
+    seek(sec) { player?.seekTo?.(sec, true); },
+    time: () => player?.getCurrentTime?.() ?? 0,
+    duration: () => player?.getDuration?.() ?? 0,
+    playing: () => playing,
+    setVolume(v) { volume = v; player?.setVolume?.(v); },
+    destroy() {
+      destroyed = true;
+      try { player?.destroy?.(); } catch { /* already gone */ }
+      el.remove();
+    },
+  };
+}
+
+/* ---------- local files ---------- */
+export function createLocalSource({ onPlay, onPause, onEnded, onError }, volume = 80) {
+  const audio = new Audio();
+  audio.preload = "auto";
+  audio.volume = volume / 100;
+  let url = null;
+  let loadedId = null;
+
+  audio.addEventListener("play", () => onPlay?.());
+  audio.addEventListener("pause", () => { if (!audio.ended) onPause?.(); });
+  audio.addEventListener("ended", () => onEnded?.());
+  audio.addEventListener("error", () => {
+    if (!audio.getAttribute("src")) return; // destroyed
+    onError?.(Object.assign(new Error(audio.error?.message || "This file can't be decoded."), { name: "NotSupportedError" }));
+  });
+
+  return {
+    kind: "local",
+    async load(track) {
+      if (loadedId !== track.fileId) {
+        const rec = await getLocalFile(track.fileId);
+        if (!rec) throw Object.assign(new Error("Local file missing"), { name: "NotFoundError" });
+        if (url) URL.revokeObjectURL(url);
+        url = URL.createObjectURL(rec.blob);
+        loadedId = track.fileId;
+        audio.src = url;
+      }
+      return audio.play();
+    },
+    play: () => audio.play(),
+    pause() { audio.pause(); },
+    seek(sec) { audio.currentTime = sec; },
+    time: () => audio.currentTime || 0,
+    duration: () => (Number.isFinite(audio.duration) ? audio.duration : 0),
+    playing: () => !audio.paused,
+    setVolume(v) { audio.volume = v / 100; },
+    destroy() {
+      audio.pause();
+      audio.removeAttribute("src");
+      if (url) URL.revokeObjectURL(url);
+    },
+  };
+}
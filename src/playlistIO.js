@@ -0,0 +1,160 @@
+/**
+ * playlistIO — MusicPlayer playlists to and from files, for sharing and backups
+ * - JSON: { format: "agari.playlists", version: 1, playlists: { [name]: Track[] } };
+ *   importing also takes the bare localStorage shape ({ [name]: Track[] }) or a single Track[]
+ * - Extended M3U: #EXTINF lines + YouTube watch URLs; several playlists in one file are split by
+ *   #PLAYLIST: headers (other players just see one long list). Local files go out as their file name.
+ * - Every imported list is deduped by trackKey, the same identity addToActive uses
+ */
+
+import { trackKey, trackSource } from "./playbackSources";
+import { getLocalFile } from "./localTracks";
+import { parseYouTubeUrl } from "./youtubeApi";
+
+const FORMAT = "agari.playlists";
+const VIDEO_ID = /^[\w-]{11}$/;
+
+/* ---------- shared ---------- */
+export const dedupeTracks = (list) => {
+  const seen = new Set();
+  return list.filter((t) => {
+    const k = trackKey(t);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+};
+
+// `incoming` tracks not already in `existing`, appended
+export const mergeTracks = (existing, incoming) => {
+  const have = new Set(existing.map(trackKey));
+  return [...existing, ...incoming.filter((t) => !have.has(trackKey(t)))];
+};
+
+// "Mix" → "Mix (2)", "Mix (3)", … whichever is free
+export const freeName = (name, taken) => {
+  if (!taken.includes(name)) return name;
+  let n = 2;
+  while (taken.includes(`${name} (${n})`)) n++;
+  return `${name} (${n})`;
+};
+
+const watchUrl = (videoId) => `https://www.youtube.com/watch?v=${videoId}`;
+
+// keep only well-formed tracks, trimmed to the fields the player uses
+const cleanTrack = (t) => {
+  if (!t || typeof t !== "object") return null;
+  const title = typeof t.title === "string" ? t.title : "";
+  const channel = typeof t.channel === "string" ? t.channel : "";
+  if (trackSource(t) === "local") {
+    return typeof t.fileId === "string" && t.fileId
+      ? { source: "local", fileId: t.fileId, title: title || t.fileId, channel, album: typeof t.album === "string" ? t.album : "" }
+      : null;
+  }
+  if (typeof t.videoId !== "string" || !VIDEO_ID.test(t.videoId)) return null;
+  return { videoId: t.videoId, title: title || t.videoId, channel, thumb: typeof t.thumb === "string" ? t.thumb : undefined };
+};
+
+/* ---------- export ---------- */
+export const toJSON = (playlists) =>
+  JSON.stringify({ format: FORMAT, version: 1, playlists }, null, 2);
+
+const localName = (fileId) => fileId.match(/^(.*):\d+:\d+$/)?.[1] || fileId;
+const extinf = (t) => `#EXTINF:-1,${[t.channel, t.title].filter(Boolean).join(" - ").replace(/[\r\n]+/g, " ")}`;
+
+export const toM3U = (playlists) => {
+  const lines = ["#EXTM3U"];
+  Object.entries(playlists).forEach(([name, tracks]) => {
+    lines.push(`#PLAYLIST:${name}`);
+    tracks.forEach((t) => {
+      lines.push(extinf(t), trackSource(t) === "local" ? localName(t.fileId) : watchUrl(t.videoId));
+    });
+  });
+  return `${lines.join("\n")}\n`;
+};
+
+export const downloadText = (text, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const safeFileName = (name) => name.replace(/[\\/:*?"<>|]+/g, "_").trim() || "playlist";
+
+/* ---------- import ---------- */
+const parseJSON = (text, fallbackName) => {
+  const v = JSON.parse(text);
+  const raw = Array.isArray(v) ? { [fallbackName]: v }
+    : v?.format === FORMAT ? v.playlists
+    : v;
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("No playlists in this JSON.");
+  let skipped = 0;
+  const playlists = {};
+  Object.entries(raw).forEach(([name, list]) => {
+    if (!Array.isArray(list)) return;
+    const tracks = list.map(cleanTrack);
+    skipped += tracks.filter((t) => !t).length;
+    playlists[name.trim() || fallbackName] = tracks.filter(Boolean);
+  });
+  if (!Object.keys(playlists).length) throw new Error("No playlists in this JSON.");
+  return { playlists, skipped };
+};
+
+const parseM3U = (text, fallbackName) => {
+  const playlists = {};
+  let name = fallbackName, info = null, skipped = 0;
+  text.split(/\r?\n/).forEach((line) => {
+    const l = line.trim();
+    if (!l || l === "#EXTM3U") return;
+    if (l.startsWith("#PLAYLIST:")) { name = l.slice(10).trim() || fallbackName; return; }
+    if (l.startsWith("#EXTINF:")) { info = l.slice(l.indexOf(",") + 1).trim(); return; }
+    if (l.startsWith("#")) return;
+    const videoId = parseYouTubeUrl(l)?.videoId;
+    if (!videoId) { skipped++; info = null; return; } // local paths, other sites
+    // "Artist - Title" is the EXTINF convention; a title with no dash stays whole
+    const dash = info ? info.indexOf(" - ") : -1;
+    (playlists[name] ||= []).push({
+      videoId,
+      title: (dash >= 0 ? info.slice(dash + 3) : info) || videoId,
+      channel: dash >= 0 ? info.slice(0, dash) : "",
+    });
+    info = null;
+  });
+  if (!Object.keys(playlists).length) throw new Error("No YouTube links in this playlist file.");
+  return { playlists, skipped };
+};
+
+/**
+ * file → { playlists: { [name]: Track[] }, skipped, missing }
+ * skipped: entries that weren't usable tracks · missing: local files this browser doesn't have
+ * Throws an Error with a user-facing message when nothing can be read.
+ */
+export async function readPlaylistFile(file) {
+  const text = await file.text();
+  const fallbackName = file.name.replace(/\.[^.]+$/, "") || "Imported";
+  let parsed;
+  if (/^\s*[[{]/.test(text)) {
+    try { parsed = parseJSON(text, fallbackName); }
+    catch (e) { throw new Error(e instanceof SyntaxError ? "This file isn't valid JSON." : e.message); }
+  } else {
+    parsed = parseM3U(text, fallbackName);
+  }
+
+  // local tracks only make sense where their file is stored
+  let missing = 0;
+  const playlists = {};
+  for (const [name, tracks] of Object.entries(parsed.playlists)) {
+    const kept = [];
+    for (const t of dedupeTracks(tracks)) {
+      if (trackSource(t) === "local" && !(await getLocalFile(t.fileId).catch(() => null))) { missing++; continue; }
+      kept.push(t);
+    }
+    playlists[name] = kept;
+  }
+  return { playlists, skipped: parsed.skipped, missing };
+}
@@ -0,0 +1,59 @@
+/**
+ * searchCache — recent YouTube search pages, in memory and in localStorage
+ * - Keyed by the normalized query + page token; a page older than TTL_MS is fetched again
+ * - Keeps the MAX_PAGES most recently used pages, so storage stays small and quota is spared
+ * - searchYouTube() is youtube.search with the cache in front; a stand-in API gets cached too
+ */
+
+import { youtube } from "./youtubeApi";
+
+const LS_KEY = "ytmini.searchCache";
+const TTL_MS = 30 * 60 * 1000;
+const MAX_PAGES = 40;
+
+const keyOf = (query, pageToken) => `${query.trim().toLowerCase()}|${pageToken || ""}`;
+
+let pages = null; // Map key → { ts, page }, oldest first
+const load = () => {
+  if (!pages) {
+    try { pages = new Map(JSON.parse(localStorage.getItem(LS_KEY)) || []); }
+    catch { pages = new Map(); }
+  }
+  return pages;
+};
+const save = () => {
+  try { localStorage.setItem(LS_KEY, JSON.stringify([...pages])); }
+  catch { /* storage full: the in-memory copy still works */ }
+};
+
+const getPage = (key) => {
+  const hit = load().get(key);
+  if (!hit) return null;
+  pages.delete(key);
+  if (Date.now() - hit.ts > TTL_MS) { save(); return null; }
+  pages.set(key, hit); // re-insert so the order stays least → most recently used
+  save();
+  return hit.page;
+};
+
+const putPage = (key, page) => {
+  load().delete(key); // re-insert so the order stays least → most recently used
+  pages.set(key, { ts: Date.now(), page });
+  while (pages.size > MAX_PAGES) pages.delete(pages.keys().next().value);
+  save();
+};
+
+export const clearSearchCache = () => {
+  pages = new Map();
+  localStorage.removeItem(LS_KEY);
+};
+
+// → { items, nextPageToken }, from the cache when fresh
+export async function searchYouTube(query, { pageToken = null, signal } = {}) {
+  const key = keyOf(query, pageToken);
+  const cached = getPage(key);
+  if (cached) return cached;
+  const page = await youtube.search(query.trim(), { pageToken, signal });
+  putPage(key, page);
+  return page;
+}
@@ -0,0 +1,140 @@
+import { useSyncExternalStore } from "react";
+
+/**
+ * shortcuts — one registry for the dashboard's keyboard shortcuts
+ * - SHORTCUTS: { id, scope, label, keys, mode?, fixed?, display? }; scope is the panel that handles it
+ *   mode: a panel's shortcuts in different modes never fire together, so they may share keys
+ *   fixed: built-in keys (digit typing, Escape) — listed and checked for clashes, not rebindable
+ * - Combos are strings like "Space", "R", "Alt+1", "?"; comboOf(event) builds one
+ * - Custom bindings persist in localStorage as overrides of the defaults
+ */
+
+const LS_KEY = "shortcuts.bindings";
+
+export const SCOPES = { app: "General", timer: "Timer", music: "Music", planner: "Planner" };
+
+export const SHORTCUTS = [
+  { id: "app.help", scope: "app", label: "Show keyboard shortcuts", keys: ["?"] },
+
+  { id: "timer.toggle", scope: "timer", mode: "countdown", label: "Start / pause", keys: ["Space"] },
+  { id: "timer.reset", scope: "timer", mode: "countdown", label: "Reset", keys: ["R"] },
+  { id: "timer.extend1", scope: "timer", mode: "countdown", label: "Add 1 minute", keys: ["=", "+"] },
+  { id: "timer.extend5", scope: "timer", mode: "countdown", label: "Add 5 minutes", keys: ["]"] },
+  { id: "timer.stopAlarm", scope: "timer", mode: "alarm", label: "Stop the alarm", keys: ["Enter", "Space"] },
+  { id: "timer.snooze", scope: "timer", mode: "alarm", label: "Snooze", keys: ["S"] },
+  { id: "timer.swToggle", scope: "timer", mode: "stopwatch", label: "Stopwatch start / pause", keys: ["Space"] },
+  { id: "timer.swLap", scope: "timer", mode: "stopwatch", label: "Stopwatch lap", keys: ["L"] },
+  { id: "timer.swReset", scope: "timer", mode: "stopwatch", label: "Stopwatch reset", keys: ["R"] },
+  { id: "timer.focus", scope: "timer", label: "Focus mode", keys: ["F"] },
+  ...Array.from({ length: 9 }, (_, i) => (
+    { id: `timer.preset${i + 1}`, scope: "timer", label: `Start preset ${i + 1}`, keys: [`Alt+${i + 1}`] }
+  )),
+  { id: "timer.digits", scope: "timer", mode: "countdown", label: "Type the time", keys: [..."0123456789"], fixed: true, display: "0–9" },
+  { id: "timer.backspace", scope: "timer", mode: "countdown", label: "Remove the last digit", keys: ["Backspace"], fixed: true },
+  { id: "timer.clear", scope: "timer", mode: "countdown", label: "Clear the time", keys: ["Delete"], fixed: true },
+  { id: "timer.slider", scope: "timer", label: "Adjust the time (time display focused)", keys: ["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "PageUp", "PageDown", "Home"], fixed: true, display: "Arrows · Page Up/Down · Home" },
+  { id: "timer.exitFocus", scope: "timer", label: "Leave focus mode", keys: ["Escape"], fixed: true },
+
+  { id: "music.toggle", scope: "music", label: "Play / pause", keys: ["K"] },
+  { id: "music.next", scope: "music", label: "Next track", keys: ["N"] },
+  { id: "music.prev", scope: "music", label: "Previous track", keys: ["P"] },
+  { id: "music.back", scope: "music", label: "Close search / back to playlists", keys: ["Escape"], fixed: true },
+
+  { id: "planner.expand", scope: "planner", label: "Expand / collapse the planner", keys: ["E"] },
+  { id: "planner.today", scope: "planner", label: "Jump to today", keys: ["T"] },
+];
+
+const byId = Object.fromEntries(SHORTCUTS.map(s => [s.id, s]));
+
+/* ---------- combos ---------- */
+const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta"];
+
+// null for a bare modifier press
+export const comboOf = (e) => {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+  const code = e.code || "";
+  // letters and digits by physical key: Alt/Shift rewrite e.key (Alt+1 is "¡" on macOS)
+  const base = code.startsWith("Key") ? code.slice(3)
+    : code.startsWith("Digit") ? code.slice(5)
+    : e.key === " " ? "Space" : e.key;
+  // "?" or "+" already carry their Shift
+  const symbol = !/^(Key|Digit)/.test(code) && e.key.length === 1 && e.key !== " ";
+  const mods = [e.ctrlKey && "Ctrl", e.altKey && "Alt", e.shiftKey && !symbol && "Shift", e.metaKey && "Meta"].filter(Boolean);
+  return [...mods, base].join("+");
+};
+
+const KEY_NAMES = { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→", Escape: "Esc", Delete: "Del" };
+export const fmtCombo = (combo) => combo.split("+").map(k => KEY_NAMES[k] || k).join("+");
+
+/* ---------- bindings (defaults + saved overrides) ---------- */
+const readOverrides = () => {
+  try {
+    const v = JSON.parse(localStorage.getItem(LS_KEY));
+    return v && typeof v === "object" ? v : {};
+  } catch { return {}; }
+};
+
+let overrides = readOverrides();
+let bindings = null;
+const listeners = new Set();
+
+const rebuild = () => {
+  bindings = Object.fromEntries(SHORTCUTS.map(s => [s.id, (!s.fixed && overrides[s.id]) || s.keys]));
+};
+rebuild();
+
+const commit = (next) => {
+  overrides = next;
+  localStorage.setItem(LS_KEY, JSON.stringify(overrides));
+  rebuild();
+  listeners.forEach(fn => fn());
+};
+
+export const getBindings = () => bindings;
+
+export const setBinding = (id, keys) => {
+  if (!byId[id] || byId[id].fixed) return;
+  commit({ ...overrides, [id]: keys });
+};
+
+// one shortcut, or all of them without an id
+export const resetBindings = (id) => {
+  if (!id) { commit({}); return; }
+  const { [id]: _drop, ...rest } = overrides;
+  commit(rest);
+};
+
+export const isCustomized = (id) => id in overrides;
+
+export const subscribeShortcuts = (fn) => {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+};
+
+// re-renders on rebinds, for components that show key hints
+export const useShortcutBindings = () => useSyncExternalStore(subscribeShortcuts, getBindings);
+
+export const matchShortcut = (e, id) => {
+  const combo = comboOf(e);
+  return !!combo && (bindings[id] || []).includes(combo);
+};
+
+// first bound combo, for hints like "Snooze (S)"; "" when unbound
+export const shortcutLabel = (id) => (bindings[id]?.[0] ? fmtCombo(bindings[id][0]) : "");
+
+/* ---------- conflicts ---------- */
+// two shortcuts on one combo clash unless both are built in, or they're the same panel's different modes
+const canShare = (a, b) => (a.fixed && b.fixed) || (a.scope === b.scope && a.mode && b.mode && a.mode !== b.mode);
+
+// → { [id]: [other ids sharing one of its keys] } for every shortcut with a clash
+export const findConflicts = (map = bindings) => {
+  const byCombo = {};
+  SHORTCUTS.forEach(s => (map[s.id] || []).forEach(c => { (byCombo[c] ||= []).push(s); }));
+  const out = {};
+  Object.values(byCombo).forEach(list => list.forEach(a => list.forEach(b => {
+    if (a === b || canShare(a, b)) return;
+    const others = (out[a.id] ||= []);
+    if (!others.includes(b.id)) others.push(b.id);
+  })));
+  return out;
+};
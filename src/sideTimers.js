@@ -0,0 +1,23 @@
+/**
+ * sideTimers — the extra named timers that run next to TimerCard's primary countdown
+ * - A timer: { id, name, durationMs, remainingMs, endTs, running, ended }
+ *   running → endTs is the deadline; paused/idle → remainingMs is what's left
+ * - Pure transitions; TimerCard owns the list, persistence and alarms
+ */
+
+export const newTimer = (name, ms) => ({
+  id: Math.random().toString(36).slice(2, 9),
+  name, durationMs: ms, remainingMs: ms, endTs: 0, running: false, ended: false,
+});
+
+export const timerLeft = (t, now) => (t.running ? Math.max(0, t.endTs - now) : t.remainingMs);
+
+export const startTimer = (t, now) =>
+  (t.running || t.remainingMs <= 0 ? t : { ...t, running: true, ended: false, endTs: now + t.remainingMs });
+
+export const pauseTimer = (t, now) =>
+  (t.running ? { ...t, running: false, remainingMs: timerLeft(t, now), endTs: 0 } : t);
+
+export const resetTimer = (t) => ({ ...t, running: false, ended: false, endTs: 0, remainingMs: t.durationMs });
+
+export const endTimer = (t) => ({ ...t, running: false, ended: true, endTs: 0, remainingMs: 0 });
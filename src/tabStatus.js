@@ -0,0 +1,81 @@
+/**
+ * tabStatus — mirrors the countdown into the browser tab
+ * - Title: "12:04 · Focus — AgariBro" (restored to the page's own title when idle)
+ * - Favicon: a small ring drawn on a canvas; remaining fraction as the arc,
+ *   paused = grey arc with pause bars, ended = solid red dot
+ * - Callers throttle; this module only skips work when nothing visible changed
+ */
+
+const SIZE = 64;
+const COLORS = { running: "#111827", paused: "#9ca3af", ended: "#dc2626", track: "rgba(0,0,0,0.15)" };
+
+let original = null; // { title, href, type } captured on first use
+let lastKey = "";
+
+const iconLink = () => {
+  let link = document.querySelector("link[rel~='icon']");
+  if (!link) {
+    link = document.createElement("link");
+    link.rel = "icon";
+    document.head.appendChild(link);
+  }
+  return link;
+};
+
+// the page declares its icon as SVG; browsers that trust `type` would skip a PNG under it
+const setIcon = (href, type) => {
+  const link = iconLink();
+  link.href = href;
+  if (type) link.type = type;
+  else link.removeAttribute("type");
+};
+
+const drawIcon = (frac, state) => {
+  const c = document.createElement("canvas");
+  c.width = c.height = SIZE;
+  const g = c.getContext("2d");
+  const mid = SIZE / 2, r = SIZE / 2 - 6;
+
+  if (state === "ended") {
+    g.fillStyle = COLORS.ended;
+    g.beginPath(); g.arc(mid, mid, r + 2, 0, Math.PI * 2); g.fill();
+    return c.toDataURL("image/png");
+  }
+
+  g.lineWidth = 10;
+  g.strokeStyle = COLORS.track;
+  g.beginPath(); g.arc(mid, mid, r, 0, Math.PI * 2); g.stroke();
+  if (frac > 0) {
+    g.strokeStyle = COLORS[state];
+    g.lineCap = "round";
+    g.beginPath(); g.arc(mid, mid, r, -Math.PI / 2, -Math.PI / 2 + frac * Math.PI * 2); g.stroke();
+  }
+  if (state === "paused") {
+    g.fillStyle = COLORS.paused;
+    g.fillRect(mid - 10, mid - 12, 7, 24);
+    g.fillRect(mid + 3, mid - 12, 7, 24);
+  }
+  return c.toDataURL("image/png");
+};
+
+// status: { text, label, frac, state: "running" | "paused" | "ended" } | null (restore defaults)
+export function setTabStatus(status) {
+  if (typeof document === "undefined") return;
+  if (!original) original = { title: document.title, href: iconLink().href, type: iconLink().getAttribute("type") };
+
+  if (!status) {
+    if (lastKey === "") return;
+    lastKey = "";
+    document.title = original.title;
+    setIcon(original.href, original.type);
+    return;
+  }
+
+  const { text, label, frac, state } = status;
+  // 2% steps are finer than a 16px favicon can show
+  const key = `${text}|${label}|${state}|${Math.round(frac * 50)}`;
+  if (key === lastKey) return;
+  lastKey = key;
+  document.title = `${text} · ${label} — AgariBro`;
+  setIcon(drawIcon(frac, state), "image/png");
+}
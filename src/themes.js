@@ -0,0 +1,84 @@
+/**
+ * themes — colors and motion for the timer's animated background
+ * - A theme: { id, name, stops, base, speedSec, text, ink, accent }
+ *   stops: 2–5 "#rrggbb" gradient colors · base: color under them · speedSec: one drift cycle, 0 = still
+ *   text: digits and labels on the gradient · ink: buttons and panels · accent: Wave stripes, Sandglass sand
+ * - themeVars() turns a theme into the CSS variables index.css and tailwind's `agari` colors read
+ * - cleanTheme() validates a theme object (stored or shared), filling gaps from the default;
+ *   parseTheme() does the same for shared JSON and gives the result a new id
+ */
+
+const HEX = /^#[0-9a-f]{6}$/i;
+export const MIN_STOPS = 2;
+export const MAX_STOPS = 5;
+export const MAX_SPEED_SEC = 300;
+
+export const BUILTIN_THEMES = [
+  { id: "pastel", name: "Pastel", stops: ["#aee6ff", "#c2ffd6", "#ffd6e0"], base: "#f9fafb", speedSec: 120, text: "#ffffff", ink: "#000000", accent: "#ffffff" },
+  { id: "sunset", name: "Sunset", stops: ["#ffb199", "#ff7eb3", "#ffd36e"], base: "#fde2e4", speedSec: 90, text: "#ffffff", ink: "#1f1f1f", accent: "#fff7ed" },
+  { id: "ocean", name: "Ocean", stops: ["#60a5fa", "#22d3ee", "#a78bfa"], base: "#dbeafe", speedSec: 150, text: "#ffffff", ink: "#0f172a", accent: "#ffffff" },
+  { id: "forest", name: "Forest", stops: ["#86efac", "#34d399", "#bef264"], base: "#ecfccb", speedSec: 150, text: "#ffffff", ink: "#052e16", accent: "#f0fdf4" },
+  { id: "dark", name: "Dark", stops: ["#1e3a8a", "#4c1d95", "#0f766e"], base: "#0b1020", speedSec: 180, text: "#f8fafc", ink: "#e2e8f0", accent: "#93c5fd" },
+  { id: "contrast", name: "High contrast", stops: ["#000000", "#1f1f1f"], base: "#000000", speedSec: 0, text: "#ffffff", ink: "#ffffff", accent: "#ffd400" },
+];
+
+export const DEFAULT_THEME = BUILTIN_THEMES[0];
+
+const rgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+// "255 255 255" — the space-separated form tailwind's `<alpha-value>` colors need
+const triplet = (hex) => rgb(hex).join(" ");
+const rgba = (hex, a) => `rgba(${rgb(hex).join(",")},${a})`;
+
+// one soft radial blob per stop, each bleeding into the next stop's color
+const LAYOUT = [["60% 80%", "20% 20%"], ["80% 60%", "80% 70%"], ["70% 70%", "40% 80%"], ["60% 60%", "78% 18%"], ["70% 60%", "12% 78%"]];
+const layers = (stops) => stops.map((c, i) => {
+  const [size, at] = LAYOUT[i];
+  return `radial-gradient(${size} at ${at}, ${rgba(c, 0.85)}, ${rgba(stops[(i + 1) % stops.length], 0.35)} 60%, transparent 74%)`;
+}).join(", ");
+
+export const themeVars = (t) => ({
+  "--agari-bg": layers(t.stops),
+  "--agari-base": t.base,
+  "--agari-speed": `${t.speedSec || MAX_SPEED_SEC}s`,
+  "--agari-play": t.speedSec ? "running" : "paused",
+  "--agari-text": triplet(t.text),
+  "--agari-ink": triplet(t.ink),
+  "--agari-accent": triplet(t.accent),
+});
+
+// for swatches: the stops as a plain linear strip
+export const themeSwatch = (t) => `linear-gradient(90deg, ${t.stops.join(", ")})`;
+
+const newThemeId = () => `custom-${Math.random().toString(36).slice(2, 9)}`;
+
+// → theme | null; unknown keys dropped, missing or malformed ones taken from the default
+export const cleanTheme = (v) => {
+  if (!v || typeof v !== "object" || !Array.isArray(v.stops)) return null;
+  const stops = v.stops.filter(c => HEX.test(c)).slice(0, MAX_STOPS);
+  if (stops.length < MIN_STOPS) return null;
+  const color = (k) => (HEX.test(v[k]) ? v[k] : DEFAULT_THEME[k]);
+  const speed = Number(v.speedSec);
+  return {
+    id: typeof v.id === "string" && v.id ? v.id : newThemeId(),
+    name: typeof v.name === "string" && v.name.trim() ? v.name.trim().slice(0, 40) : "Imported",
+    stops,
+    base: color("base"),
+    speedSec: Number.isFinite(speed) ? Math.max(0, Math.min(MAX_SPEED_SEC, Math.round(speed))) : DEFAULT_THEME.speedSec,
+    text: color("text"),
+    ink: color("ink"),
+    accent: color("accent"),
+  };
+};
+
+export const parseTheme = (text) => {
+  let v;
+  try { v = JSON.parse(text); } catch { return null; }
+  const t = cleanTheme(v);
+  return t && { ...t, id: newThemeId() };
+};
+
+// what "Copy JSON" shares: everything but the local id
+export const themeJSON = (t) => {
+  const { id: _id, ...rest } = t;
+  return JSON.stringify(rest, null, 2);
+};
@@ -0,0 +1,148 @@
+/**
+ * timeParse — shared parsing for typed times and durations
+ * - parseTimeToMinutes: clock time → minutes since midnight (planner + timer);
+ *   the planner clamps out-of-range parts, the timer's commands pass strict and get NaN instead
+ * - parseDuration: "25m", "1h 15", "90s", "1:30:00", "3d 4h", "2:04:00:00" → ms
+ * - parseTimerCommand: a duration, "until 3:30pm" (rolls past midnight) or
+ *   "until dec 24", "until 2026-12-24 9am", "until 12/24" → ms from now
+ * - fmtCountdown: ms → "MM:SS", "H:MM:SS" or "D:HH:MM:SS"
+ * - fmtSpoken: ms → "1 hour 5 minutes" for screen readers
+ */
+
+// flexible parser: "9:30", "09:30", "9 30", "9", "21:15", "930", supports AM/PM
+export const parseTimeToMinutes = (s, strict = false) => {
+  if (!s) return NaN;
+  let str = s.trim().toLowerCase();
+  let isPM = false, isAM = false;
+  if (str.endsWith("am")) { isAM = true; str = str.replace(/am$/, "").trim(); }
+  if (str.endsWith("pm")) { isPM = true; str = str.replace(/pm$/, "").trim(); }
+  str = str.replace(/[^\d:]/g, " ").replace(/\s+/g, " ").trim();
+  let h = 0, m = 0;
+  if (/^\d{1,2}:\d{1,2}$/.test(str)) {
+    const [hh, mm] = str.split(":").map((x) => parseInt(x, 10));
+    h = hh; m = mm;
+  } else if (/^\d{3,4}$/.test(str)) {
+    const n = parseInt(str, 10);
+    if (str.length <= 2) { h = n; m = 0; }
+    else { const mm = n % 100; const hh = Math.floor(n / 100); h = hh; m = mm; }
+  } else {
+    const parts = str.split(" ");
+    if (parts.length === 2) { h = parseInt(parts[0], 10); m = parseInt(parts[1], 10); }
+    else if (parts.length === 1) { h = parseInt(parts[0], 10); m = 0; }
+    else if (strict) return NaN;
+  }
+  if (isNaN(h) || isNaN(m)) return NaN;
+  // "25:00", "14:75", "13pm" — a typo, not a time to round to
+  if (strict && (m > 59 || ((isAM || isPM) ? h < 1 || h > 12 : h > 23))) return NaN;
+  if (isPM && h < 12) h += 12;
+  if (isAM && h === 12) h = 0;
+  h = Math.max(0, Math.min(23, h));
+  m = Math.max(0, Math.min(59, m));
+  return h * 60 + m;
+};
+
+const UNIT_MS = { d: 86400000, h: 3600000, m: 60000, s: 1000 };
+const unitOf = (u) => (!u ? null : "dhs".includes(u[0]) ? u[0] : "m");
+// a bare number after a unit means the next smaller one ("1h 15" = 1h15m); alone it means minutes
+const NEXT_UNIT = { d: "h", h: "m", m: "s", s: null };
+
+export const parseDuration = (s) => {
+  const str = (s || "").trim().toLowerCase();
+  if (!str) return NaN;
+
+  // clock-style: mm:ss, h:mm:ss or d:hh:mm:ss
+  if (/^\d+(:\d{1,2}){1,3}$/.test(str)) {
+    const parts = str.split(":").map(Number);
+    const [d, h, m, sec] = [0, 0, ...parts].slice(-4);
+    return (((d * 24 + h) * 60 + m) * 60 + sec) * 1000;
+  }
+
+  const re = /(\d+(?:\.\d+)?)\s*(days?|d|hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)?/g;
+  const rest = str.replace(re, "").replace(/\b(and)\b|[\s,+]/g, "");
+  if (rest) return NaN;
+
+  let total = 0, prev = null, count = 0;
+  for (const [, num, u] of str.matchAll(re)) {
+    const unit = unitOf(u) || (prev ? NEXT_UNIT[prev] : "m");
+    if (!unit) return NaN;
+    total += parseFloat(num) * UNIT_MS[unit];
+    prev = unit; count++;
+  }
+  return count ? Math.round(total) : NaN;
+};
+
+// next wall-clock occurrence of `mins` after `now`; without am/pm, "3:30" means whichever of 3:30 / 15:30 comes first
+const untilClock = (text, now) => {
+  const mins = parseTimeToMinutes(text, true);
+  if (isNaN(mins)) return NaN;
+  const at = (m) => {
+    const d = new Date(now);
+    d.setHours(Math.floor(m / 60), m % 60, 0, 0);
+    if (d <= now) d.setDate(d.getDate() + 1); // setDate keeps wall time across DST
+    return d - now;
+  };
+  const explicit = /[ap]m\s*$/i.test(text.trim());
+  const ms = at(mins);
+  return !explicit && mins < 12 * 60 ? Math.min(ms, at(mins + 12 * 60)) : ms;
+};
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// a calendar date with optional time ("2026-12-24 9am", "dec 24", "24 dec 2026 18:00", "12/24");
+// without a year it's the next such date. Built from local fields, so DST shifts land on the right wall time.
+// null = not a date at all (try a clock time instead); NaN = a date, but invalid or already past
+const untilDate = (text, now) => {
+  const str = text.trim().toLowerCase().replace(/,/g, " ");
+  let y = NaN, mo = NaN, d = NaN, rest = "";
+  let m;
+  if ((m = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:t|\s+|$)(.*)$/))) {
+    [y, mo, d, rest] = [+m[1], +m[2] - 1, +m[3], m[4]];
+  } else if ((m = str.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?(?:\s+(.*))?$/))) {
+    [mo, d, y, rest] = [+m[1] - 1, +m[2], m[3] ? +m[3] : NaN, m[4] || ""];
+  } else if ((m = str.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:\s+(\d{4}))?(?:\s+(.*))?$/))
+    || (m = str.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3})[a-z]*\.?(?:\s+(\d{4}))?(?:\s+(.*))?$/))) {
+    const [a, b] = /^\d/.test(m[1]) ? [m[2], m[1]] : [m[1], m[2]];
+    [mo, d, y, rest] = [MONTHS.indexOf(a), +b, m[3] ? +m[3] : NaN, m[4] || ""];
+  } else {
+    return null;
+  }
+  if (mo < 0 || mo > 11 || d < 1 || d > 31) return NaN;
+  const mins = rest.trim() ? parseTimeToMinutes(rest, true) : 0;
+  if (isNaN(mins)) return NaN;
+  const at = (year) => new Date(year, mo, d, Math.floor(mins / 60), mins % 60, 0, 0);
+  let target = at(Number.isFinite(y) ? y : now.getFullYear());
+  if (target.getDate() !== d) return NaN; // Feb 30 and friends
+  if (!Number.isFinite(y) && target <= now) target = at(now.getFullYear() + 1);
+  return target > now ? target - now : NaN;
+};
+
+// → { ms, until: boolean } | null
+export const parseTimerCommand = (s, now = new Date()) => {
+  const str = (s || "").trim();
+  const m = str.match(/^(?:until|till|til|at|@)\s*(.+)$/i);
+  if (m) {
+    const date = untilDate(m[1], now);
+    const ms = date === null ? untilClock(m[1], now) : date;
+    return Number.isFinite(ms) ? { ms, until: true } : null;
+  }
+  const ms = parseDuration(str);
+  return Number.isFinite(ms) && ms > 0 ? { ms, until: false } : null;
+};
+
+// countdown text; days only when needed, rounding up so "00:00" only shows at the very end
+export const fmtCountdown = (ms) => {
+  const t = Math.ceil(Math.max(0, ms) / 1000);
+  const d = Math.floor(t / 86400), h = Math.floor((t % 86400) / 3600), m = Math.floor((t % 3600) / 60), sec = t % 60;
+  const p = (n) => String(n).padStart(2, "0");
+  if (d) return `${d}:${p(h)}:${p(m)}:${p(sec)}`;
+  return h ? `${h}:${p(m)}:${p(sec)}` : `${p(m)}:${p(sec)}`;
+};
+
+// words instead of colons (screen readers read "25:00" as a clock time); zero parts are left out
+export const fmtSpoken = (ms) => {
+  const t = Math.ceil(Math.max(0, ms) / 1000);
+  const parts = [[Math.floor(t / 86400), "day"], [Math.floor((t % 86400) / 3600), "hour"], [Math.floor((t % 3600) / 60), "minute"], [t % 60, "second"]]
+    .filter(([n]) => n)
+    .map(([n, unit]) => `${n} ${unit}${n === 1 ? "" : "s"}`);
+  return parts.length ? parts.join(" ") : "0 seconds";
+};
@@ -0,0 +1,93 @@
+/**
+ * timerEngine — wall-clock scheduling for TimerCard
+ * - Clock: { now, setTimeout, clearTimeout } so time can be faked deterministically
+ * - Scheduler: run a callback AT a timestamp; backed by a worker (not throttled in
+ *   background tabs) with a main-thread timer as fallback — whichever fires first wins
+ * - Callbacks never run early: an early wake-up re-arms for the remainder
+ * - Long waits (multi-day countdowns) are armed in chunks under setTimeout's ~24.8-day cap
+ */
+
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+};
+
+// Manual clock: time only moves on advance(), firing due timers in order.
+export const createManualClock = (startTs = 0) => {
+  let t = startTs;
+  let seq = 0;
+  const timers = new Map(); // id → { at, fn }
+  return {
+    now: () => t,
+    setTimeout: (fn, ms) => { const id = ++seq; timers.set(id, { at: t + Math.max(0, ms), fn }); return id; },
+    clearTimeout: (id) => { timers.delete(id); },
+    advance: (ms) => {
+      const target = t + ms;
+      for (;;) {
+        let nextId = null;
+        for (const [id, tm] of timers) if (tm.at <= target && (nextId === null || tm.at < timers.get(nextId).at)) nextId = id;
+        if (nextId === null) break;
+        const { at, fn } = timers.get(nextId);
+        timers.delete(nextId);
+        t = at;
+        fn();
+      }
+      t = target;
+    },
+  };
+};
+
+const createTickWorker = () => {
+  if (typeof Worker === "undefined") return null;
+  try { return new Worker(new URL("./timerWorker.js", import.meta.url), { type: "module" }); }
+  catch { return null; }
+};
+
+// setTimeout treats anything above 2^31-1 ms as 0 and fires at once
+const MAX_DELAY_MS = 2 ** 31 - 1;
+
+export function createScheduler({ clock = systemClock, useWorker = clock === systemClock } = {}) {
+  const worker = useWorker ? createTickWorker() : null;
+  const jobs = new Map(); // id → { ts, fn, timer }
+  let seq = 0;
+
+  const clear = (id) => {
+    const job = jobs.get(id);
+    if (!job) return;
+    clock.clearTimeout(job.timer);
+    worker?.postMessage({ type: "clear", id });
+    jobs.delete(id);
+  };
+
+  const arm = (id, job) => {
+    const delay = Math.min(MAX_DELAY_MS, Math.max(0, job.ts - clock.now()));
+    job.timer = clock.setTimeout(() => fire(id), delay);
+    worker?.postMessage({ type: "set", id, delay });
+    jobs.set(id, job);
+  };
+
+  const fire = (id) => {
+    const job = jobs.get(id);
+    if (!job) return;
+    clear(id);
+    const t = clock.now();
+    if (t < job.ts) { arm(id, job); return; }
+    job.fn(t);
+  };
+
+  worker?.addEventListener("message", (e) => fire(e.data?.id));
+
+  return {
+    // returns a cancel function
+    at(ts, fn) {
+      const id = ++seq;
+      arm(id, { ts, fn, timer: null });
+      return () => clear(id);
+    },
+    dispose() {
+      [...jobs.keys()].forEach(clear);
+      worker?.terminate();
+    },
+  };
+}
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createManualClock, createScheduler } from "./timerEngine.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test("fires at the timestamp, not before", () => {
+  const clock = createManualClock(1000);
+  const sch = createScheduler({ clock });
+  const fired = [];
+  sch.at(6000, (t) => fired.push(t));
+  clock.advance(4999);
+  assert.deepEqual(fired, []);
+  clock.advance(1);
+  assert.deepEqual(fired, [6000]);
+});
+
+test("a past timestamp fires on the next turn", () => {
+  const clock = createManualClock(5000);
+  const sch = createScheduler({ clock });
+  const fired = [];
+  sch.at(1000, (t) => fired.push(t));
+  assert.deepEqual(fired, []);
+  clock.advance(0);
+  assert.deepEqual(fired, [5000]);
+});
+
+test("jobs fire in timestamp order", () => {
+  const clock = createManualClock();
+  const sch = createScheduler({ clock });
+  const fired = [];
+  sch.at(300, () => fired.push("c"));
+  sch.at(100, () => fired.push("a"));
+  sch.at(200, () => fired.push("b"));
+  clock.advance(1000);
+  assert.deepEqual(fired, ["a", "b", "c"]);
+});
+
+test("cancel and dispose stop pending jobs", () => {
+  const clock = createManualClock();
+  const sch = createScheduler({ clock });
+  const fired = [];
+  const cancel = sch.at(100, () => fired.push("cancelled"));
+  sch.at(200, () => fired.push("disposed"));
+  cancel();
+  clock.advance(150);
+  sch.dispose();
+  clock.advance(1000);
+  assert.deepEqual(fired, []);
+});
+
+test("waits past setTimeout's cap are re-armed until due", () => {
+  const clock = createManualClock();
+  const sch = createScheduler({ clock });
+  const fired = [];
+  sch.at(40 * DAY_MS, (t) => fired.push(t));
+  clock.advance(30 * DAY_MS);
+  assert.deepEqual(fired, []);
+  clock.advance(10 * DAY_MS);
+  assert.deepEqual(fired, [40 * DAY_MS]);
+});
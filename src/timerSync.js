@@ -0,0 +1,42 @@
+/**
+ * timerSync — keeps TimerCard consistent across open tabs
+ * - State: every tab persists to localStorage; other tabs apply `storage` events
+ * - Alarm: exactly one tab claims each deadline (Web Locks make the claim atomic)
+ *   and owns the end-of-timer flow; the rest mirror it over a BroadcastChannel
+ */
+
+const CLAIM_KEY = "timer.alarm.claimed";
+const CLAIM_KEEP = 20; // several timers can end close together; remember a few recent claims
+const CHANNEL = "agari-timer";
+
+// resolves true for the single tab that should ring for `id` (a deadline, or any unique string)
+export async function claimAlarm(id) {
+  const claim = () => {
+    let claimed;
+    try { claimed = JSON.parse(localStorage.getItem(CLAIM_KEY)); } catch { claimed = null; }
+    if (!Array.isArray(claimed)) claimed = [];
+    if (claimed.includes(String(id))) return false;
+    localStorage.setItem(CLAIM_KEY, JSON.stringify([...claimed, String(id)].slice(-CLAIM_KEEP)));
+    return true;
+  };
+  if (!navigator.locks?.request) return claim();
+  return navigator.locks.request(`${CHANNEL}-alarm`, claim);
+}
+
+// handlers: { [localStorageKey]: (newValue) => void }; returns unsubscribe
+export function subscribeStorage(handlers) {
+  const onStorage = (e) => {
+    if (e.storageArea !== localStorage || !handlers[e.key]) return;
+    handlers[e.key](e.newValue);
+  };
+  window.addEventListener("storage", onStorage);
+  return () => window.removeEventListener("storage", onStorage);
+}
+
+// { post(msg), close() } — a no-op stand-in where BroadcastChannel is missing
+export function openTimerChannel(onMessage) {
+  if (typeof BroadcastChannel === "undefined") return { post: () => {}, close: () => {} };
+  const ch = new BroadcastChannel(CHANNEL);
+  ch.onmessage = (e) => onMessage(e.data);
+  return { post: (msg) => ch.postMessage(msg), close: () => ch.close() };
+}
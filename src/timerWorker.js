@@ -0,0 +1,13 @@
+// Dedicated-worker timers: browsers throttle main-thread timers and pause
+// requestAnimationFrame in hidden tabs, but keep worker timers on schedule.
+const timers = new Map();
+
+self.onmessage = (e) => {
+  const { type, id, delay } = e.data || {};
+  if (type === "set") {
+    timers.set(id, setTimeout(() => { timers.delete(id); self.postMessage({ id }); }, delay));
+  } else if (type === "clear") {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+  }
+};
@@ -0,0 +1,141 @@
+/**
+ * youtubeApi — every request MusicPlayer makes to YouTube, behind one swappable object
+ * - youtube.search / video / playlist / playlistPage; all take { signal } for aborts
+ * - Data API v3 calls need VITE_YT_API_KEY; video() uses keyless oEmbed, so pasting a link always works
+ * - Local stand-in: point VITE_YT_API_BASE at a server speaking the same JSON (no key needed then;
+ *   oEmbed goes to <base>/oembed too), or setYouTubeApi({ ...overrides }) in tests;
+ *   resetYouTubeApi() puts the real one back
+ * - Failures are Errors with a `kind`: "nokey" | "quota" | "key" | "notfound" | "network" | "api"
+ */
+
+// env is Vite's; under plain Node (tests) there is none
+const API_KEY = import.meta.env?.VITE_YT_API_KEY || "";
+const STAND_IN = import.meta.env?.VITE_YT_API_BASE || "";
+const API_BASE = STAND_IN || "https://www.googleapis.com/youtube/v3";
+const OEMBED = STAND_IN ? `${STAND_IN.replace(/\/$/, "")}/oembed` : "https://www.youtube.com/oembed";
+
+const VIDEO_ID = /^[\w-]{11}$/;
+const LIST_ID = /^[\w-]{10,64}$/;
+
+export const apiError = (kind, message) => Object.assign(new Error(message), { kind });
+
+/* ---------- links ---------- */
+/**
+ * Any YouTube link → { videoId, listId } (either may be null), or null when it isn't one.
+ * Handles watch, youtu.be, shorts, embed, live, music.youtube and /playlist links, with or
+ * without the scheme; extra params (t=, si=, index=) are ignored.
+ */
+export const parseYouTubeUrl = (raw) => {
+  const text = (raw || "").trim();
+  if (!text || /\s/.test(text)) return null;
+  let u;
+  try { u = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`); } catch { return null; }
+  const host = u.hostname.toLowerCase().replace(/^(www|m|music)\./, "");
+  let videoId = null;
+  if (host === "youtu.be") videoId = u.pathname.slice(1).split("/")[0];
+  else if (host === "youtube.com" || host === "youtube-nocookie.com") {
+    videoId = u.searchParams.get("v") || u.pathname.match(/^\/(?:shorts|embed|live|v)\/([^/?#]+)/)?.[1] || null;
+  } else return null;
+  const list = u.searchParams.get("list");
+  const out = { videoId: videoId && VIDEO_ID.test(videoId) ? videoId : null, listId: list && LIST_ID.test(list) ? list : null };
+  return out.videoId || out.listId ? out : null;
+};
+
+/* ---------- Data API ---------- */
+const get = async (path, params, signal) => {
+  if (!API_KEY && !STAND_IN) throw apiError("nokey", "Add VITE_YT_API_KEY to .env");
+  const url = new URL(`${API_BASE.replace(/\/$/, "")}/${path}`);
+  Object.entries({ ...params, key: API_KEY || undefined }).forEach(([k, v]) => { if (v != null) url.searchParams.set(k, v); });
+  let r;
+  try { r = await fetch(url, { signal }); }
+  catch (e) {
+    if (e.name === "AbortError") throw e;
+    throw apiError("network", "Couldn't reach YouTube. Check your connection.");
+  }
+  const j = await r.json().catch(() => ({}));
+  if (r.ok && !j.error) return j;
+  const reason = j.error?.errors?.[0]?.reason || "";
+  // newer error bodies name key problems in details (API_KEY_INVALID) while the legacy reason is just "badRequest"
+  const detail = j.error?.details?.find((d) => d.reason)?.reason || "";
+  if (/quota|rateLimit/i.test(reason)) throw apiError("quota", "YouTube's daily quota for this key is used up.");
+  // only key problems count as "key"; any other 400 / 403 is an "api" error, which callers may retry
+  if (/^(keyInvalid|keyExpired|accessNotConfigured|ipRefererBlocked)$/.test(reason) || /^API_KEY_/.test(detail)) {
+    throw apiError("key", "YouTube rejected the API key.");
+  }
+  if (r.status === 404 || /notFound/i.test(reason)) throw apiError("notfound", "YouTube couldn't find that.");
+  throw apiError("api", j.error?.message || `YouTube answered ${r.status}.`);
+};
+
+const thumbOf = (sn) => sn?.thumbnails?.default?.url;
+
+const realApi = {
+  // → { items: Track[], nextPageToken }
+  async search(query, { pageToken, signal } = {}) {
+    const j = await get("search", {
+      part: "snippet", type: "video", videoCategoryId: "10", q: query, maxResults: "15", pageToken,
+    }, signal);
+    return {
+      items: (j.items || []).filter((it) => it.id?.videoId).map((it) => ({
+        videoId: it.id.videoId,
+        title: it.snippet.title,
+        channel: it.snippet.channelTitle,
+        thumb: thumbOf(it.snippet),
+      })),
+      nextPageToken: j.nextPageToken || null,
+    };
+  },
+
+  // → Track; keyless, and a bare track when oEmbed is unreachable (the video still plays)
+  async video(videoId, { signal } = {}) {
+    const bare = { videoId, title: `YouTube video ${videoId}`, channel: "" };
+    try {
+      const url = new URL(OEMBED);
+      url.searchParams.set("url", `https://www.youtube.com/watch?v=${videoId}`);
+      url.searchParams.set("format", "json");
+      const r = await fetch(url, { signal });
+      if (r.status === 401 || r.status === 403 || r.status === 404) throw apiError("notfound", "That video is private or doesn't exist.");
+      if (!r.ok) return bare;
+      const j = await r.json();
+      return { videoId, title: j.title || bare.title, channel: j.author_name || "", thumb: j.thumbnail_url };
+    } catch (e) {
+      if (e.name === "AbortError" || e.kind) throw e;
+      return bare;
+    }
+  },
+
+  // → { title, total }
+  async playlist(listId, { signal } = {}) {
+    const j = await get("playlists", { part: "snippet,contentDetails", id: listId }, signal);
+    const it = j.items?.[0];
+    if (!it) throw apiError("notfound", "That playlist is private or doesn't exist.");
+    return { title: it.snippet?.title || "YouTube playlist", total: it.contentDetails?.itemCount ?? null };
+  },
+
+  // → { items: Track[], skipped, nextPageToken }; skipped = private / deleted entries
+  async playlistPage(listId, { pageToken, signal } = {}) {
+    const j = await get("playlistItems", { part: "snippet", playlistId: listId, maxResults: "50", pageToken }, signal);
+    const items = [];
+    let skipped = 0;
+    (j.items || []).forEach((it) => {
+      const sn = it.snippet || {};
+      const videoId = sn.resourceId?.videoId;
+      // private and deleted videos stay in playlists with no owner channel
+      if (!videoId || !sn.videoOwnerChannelTitle) { skipped++; return; }
+      items.push({ videoId, title: sn.title, channel: sn.videoOwnerChannelTitle, thumb: thumbOf(sn) });
+    });
+    return { items, skipped, nextPageToken: j.nextPageToken || null };
+  },
+};
+
+let api = realApi;
+
+export const setYouTubeApi = (overrides) => { api = { ...realApi, ...overrides }; };
+export const resetYouTubeApi = () => { api = realApi; };
+
+// callers go through here, so a swapped-in stand-in takes effect everywhere at once
+export const youtube = {
+  search: (...a) => api.search(...a),
+  video: (...a) => api.video(...a),
+  playlist: (...a) => api.playlist(...a),
+  playlistPage: (...a) => api.playlistPage(...a),
+};
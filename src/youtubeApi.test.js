@@ -0,0 +1,41 @@
+import { afterEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { parseYouTubeUrl, resetYouTubeApi, setYouTubeApi, youtube } from "./youtubeApi.js";
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  resetYouTubeApi();
+  globalThis.fetch = realFetch;
+});
+
+test("a stand-in replaces only the methods it overrides", async () => {
+  setYouTubeApi({ search: async (q) => ({ items: [{ videoId: "abcdefghijk", title: q, channel: "" }], nextPageToken: null }) });
+  const page = await youtube.search("lofi");
+  assert.equal(page.items[0].title, "lofi");
+  // no key in this environment, so the real Data API calls refuse up front
+  await assert.rejects(youtube.playlist("PL0123456789"), { kind: "nokey" });
+});
+
+test("resetYouTubeApi puts the real API back", async () => {
+  setYouTubeApi({ search: async () => ({ items: [], nextPageToken: null }) });
+  resetYouTubeApi();
+  await assert.rejects(youtube.search("lofi"), { kind: "nokey" });
+});
+
+test("video() reads oEmbed and maps it to a track", async () => {
+  globalThis.fetch = async () => ({ ok: true, status: 200, json: async () => ({ title: "Song", author_name: "Band", thumbnail_url: "t.jpg" }) });
+  assert.deepEqual(await youtube.video("abcdefghijk"), { videoId: "abcdefghijk", title: "Song", channel: "Band", thumb: "t.jpg" });
+});
+
+test("video() reports private videos and falls back to a bare track otherwise", async () => {
+  globalThis.fetch = async () => ({ ok: false, status: 404, json: async () => ({}) });
+  await assert.rejects(youtube.video("abcdefghijk"), { kind: "notfound" });
+  globalThis.fetch = async () => { throw new TypeError("offline"); };
+  assert.equal((await youtube.video("abcdefghijk")).title, "YouTube video abcdefghijk");
+});
+
+test("parseYouTubeUrl takes the usual link shapes", () => {
+  assert.deepEqual(parseYouTubeUrl("youtu.be/abcdefghijk?t=3"), { videoId: "abcdefghijk", listId: null });
+  assert.deepEqual(parseYouTubeUrl("https://music.youtube.com/playlist?list=PL0123456789"), { videoId: null, listId: "PL0123456789" });
+  assert.equal(parseYouTubeUrl("https://example.com/watch?v=abcdefghijk"), null);
+});
@@ -3,6 +3,15 @@ module.exports = {
   content: ["./index.html", "./src/**/*.{js,jsx,ts,tsx}"],
   theme: {
     extend: {
+      // timer theme colors (CSS variables set from themes.js), usable with opacity: text-agari/70
+      colors: {
+        agari: {
+          DEFAULT: "rgb(var(--agari-text) / <alpha-value>)",
+          ink: "rgb(var(--agari-ink) / <alpha-value>)",
+          accent: "rgb(var(--agari-accent) / <alpha-value>)",
+          base: "var(--agari-base)", // plain color, no opacity: text on ink-filled buttons
+        },
+      },
       fontFamily: {
         raleway: ["Raleway", "ui-sans-serif", "system-ui", "Segoe UI", "Helvetica", "Arial", "Apple Color Emoji", "Segoe UI Emoji"],
       },